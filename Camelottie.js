@@ -1,355 +1,1690 @@
 // optimize.js
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const sharp = require("sharp");
+const { writeDotLottie } = require("./lib/dotlottie");
+const { mapWithConcurrency } = require("./lib/pool");
+const { optimizeWithinBudget, parseSize, formatSize } = require("./lib/budget");
+const { openFrameCache, getDefaultCacheDir } = require("./lib/cache");
+const { resolveCropRegion, findTrimRegion } = require("./lib/crop");
+const { probeVideo, parseTime, resolveTimeRange, extractFramesFromVideo, extractVideoFrame, streamVideoFrames, encodeFrameSequence } = require("./lib/video");
+const { parseColor, formatColor, resolveKeySettings, applyKey, renderKeyPreview } = require("./lib/key");
+const { formats, resolveOutputFormats, getFormatFromFile, getMimeType, hasTransparency, computeSsim } = require("./lib/formats");
+const { sampleEvenly, buildGlobalPalette, remapToPalette } = require("./lib/palette");
+const { openAnimation, inspectAnimation, validateAnimation } = require("./lib/inspect");
+const { createFrameRenderer } = require("./lib/extract");
+const { parseFramePosition, parseSegments, loadSegmentsFile, trimFrames, trimLottie, addPingPong, addMarkers } = require("./lib/timeline");
+const { writeContactSheet, renderSourceFrames, writePreviewHtml } = require("./lib/preview");
+const { resolveBatch, summarizeEntry, buildBatchReport, writeBatchReport } = require("./lib/batch");
+const { resolveAssetLayout, publishAssets, writeAssetsManifest } = require("./lib/assets");
+const { resolveComposition, buildComposition } = require("./lib/compose");
+const { createConversionServer, parseDuration } = require("./lib/server");
+const {
+  detectInputType,
+  listSequenceFrames,
+  findSequenceGaps,
+  buildSequenceTimeline,
+  formatFrameRanges,
+  naturalCompare,
+  extractAnimatedFrames,
+  getDelayFrameRate
+} = require("./lib/input");
 
-// Video frame extraction function
-async function extractFramesFromVideo(videoPath, outputDir, frameRate = 30) {
-  console.log("🎬 Extracting frames from video...");
+// Route log output and progress events for a single run.
+// logger: object with a log() method (default: console, null = silent)
+// onProgress: called with { stage, ... } events (extracting, optimizing, assembling, done)
+function createReporter({ logger = console, onProgress = null } = {}) {
+  return {
+    log: (...args) => {
+      if (logger) logger.log(...args);
+    },
+    progress: (event) => {
+      if (onProgress) onProgress(event);
+    }
+  };
+}
+
+// Main optimization function with configurable parameters.
+// With maxSize set, settings are searched until the output fits the budget.
+// With densities set (e.g. [1, 2, 3]), one animation is written per density.
+async function optimizeImages(config = {}) {
+  const densities = parseDensities(config.densities);
+  if (densities) {
+    return optimizeDensityVariants(config, densities);
+  }
 
-  const ffmpeg = require('fluent-ffmpeg');
+  return optimizeVariant(config);
+}
 
-  return new Promise((resolve, reject) => {
-    // Get video duration first
-    ffmpeg.ffprobe(videoPath, (err, metadata) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+function optimizeVariant(config) {
+  if (config.maxSize) {
+    return optimizeWithinBudget(runOptimization, config);
+  }
+
+  return runOptimization(config);
+}
+
+// Density list from an array or "1,2,3" / "1x,2x" string; null when none is given
+function parseDensities(densities) {
+  if (!densities || densities.length === 0) return null;
+
+  const list = (Array.isArray(densities) ? densities : String(densities).split(","))
+    .map(density => parseFloat(String(density).trim().replace(/x$/i, "")));
+
+  if (list.some(density => !(density > 0))) {
+    throw new Error(`Invalid densities: ${densities} (use e.g. 1,2,3)`);
+  }
 
-      const duration = metadata.format.duration;
-      console.log(`📊 Video duration: ${duration.toFixed(1)}s`);
-
-      // Calculate number of frames to extract
-      const numFrames = Math.ceil(duration * frameRate);
-      const frameInterval = 1 / frameRate; // seconds between frames
-
-      console.log(`🎯 Extracting ${numFrames} frames at ${frameRate}fps`);
-
-      let extractedFrames = 0;
-
-      // Extract frames
-      ffmpeg(videoPath)
-        .outputOptions([
-          `-vf fps=${frameRate}`, // Extract at specified frame rate
-          '-q:v 2' // High quality
-        ])
-        .output(path.join(outputDir, 'frame_%06d.png'))
-        .on('progress', (progress) => {
-          extractedFrames = Math.floor(progress.frames);
-          process.stdout.write(`\r📹 Extracted: ${extractedFrames} frames`);
-        })
-        .on('end', () => {
-          console.log(`\n✅ Frame extraction complete: ${extractedFrames} frames`);
-          resolve(extractedFrames);
-        })
-        .on('error', (err) => {
-          reject(err);
-        })
-        .run();
+  return [...new Set(list)].sort((a, b) => a - b);
+}
+
+// Write one complete animation (frames + JSON) per density into output/@<density>x.
+// Frames are rendered at density × the configured scale or target size, while the
+// composition keeps the @1x size so every variant displays at the same size.
+async function optimizeDensityVariants(config, densities) {
+  const reporter = createReporter(config);
+  const startTime = Date.now();
+  const variants = [];
+  let compositionSize = {}; // Taken from the first variant so rounding never shifts the others
+
+  for (const density of densities) {
+    const label = `@${density}x`;
+    reporter.log(`📱 Density variant ${label}`);
+
+    const result = await optimizeVariant({
+      ...config,
+      ...compositionSize,
+      densities: null,
+      density,
+      output: path.join(config.output, label),
+      onProgress: config.onProgress ? (event) => config.onProgress({ ...event, density }) : null
     });
+    variants.push({ density, label, ...result });
+
+    if (!compositionSize.lottieWidth) {
+      compositionSize = { lottieWidth: result.width, lottieHeight: result.height };
+    }
+  }
+
+  const result = {
+    variants,
+    totalSize: variants.reduce((total, variant) => total + variant.totalSize, 0),
+    timing: { totalMs: Date.now() - startTime }
+  };
+
+  reporter.progress({ stage: "done", result });
+  return result;
+}
+
+// Convert every entry of a batch manifest (a file, object or glob; see
+// resolveBatch), up to `jobs` at a time. A failed entry is recorded in the report
+// and the others carry on. batch-report.json and batch-report.txt are written to
+// the batch output folder. With verbose, each entry's log is passed through
+// prefixed with its name; otherwise only start and finish lines are logged.
+async function optimizeBatch(config = {}) {
+  const { manifest, output = null, jobs = null, preset = null, baseConfig = {}, verbose = false } = config;
+  const reporter = createReporter(config);
+  const startTime = Date.now();
+  const batch = resolveBatch(manifest, { output, jobs, preset, baseConfig });
+
+  reporter.log(`📦 Batch: ${batch.entries.length} ${batch.entries.length === 1 ? "entry" : "entries"} → ${batch.output} (${batch.jobs} at a time)`);
+  batch.skipped.forEach(item => reporter.log(`⏭️  Skipped ${item.input}: ${item.reason}`));
+
+  const rows = await mapWithConcurrency(batch.entries, batch.jobs, async (entry, index) => {
+    const entryStart = Date.now();
+    const prefix = `[${entry.name}]`;
+    reporter.log(`▶️  ${prefix} ${entry.input}`);
+    reporter.progress({ stage: "entry", name: entry.name, index, total: batch.entries.length });
+
+    let result = null;
+    let error = null;
+    try {
+      if (!fs.existsSync(entry.input)) throw new Error(`Input not found: ${entry.input}`);
+      result = await optimizeImages({
+        ...entry.config,
+        input: entry.input,
+        output: entry.output,
+        logger: verbose ? { log: (...args) => reporter.log(prefix, ...args) } : null,
+        onProgress: null
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    const row = summarizeEntry(entry, result, error, Date.now() - entryStart);
+    reporter.log(error ?
+      `❌ ${prefix} ${error.message}` :
+      `✅ ${prefix} ${row.outputFile} (${formatSize(row.totalSize)}, ${(row.timeMs / 1000).toFixed(1)}s)`);
+    reporter.progress({ stage: "entry-done", name: entry.name, index, total: batch.entries.length, row });
+    return row;
   });
+
+  const report = buildBatchReport(batch, rows, { manifest, startTime, endTime: Date.now() });
+  const { jsonFile, textFile } = writeBatchReport(report, batch.output);
+  reporter.log(`📋 Report: ${jsonFile}, ${textFile}`);
+
+  const result = { ...report, reportFile: jsonFile, tableFile: textFile };
+  reporter.progress({ stage: "done", result });
+  return result;
 }
 
-const inputDir = "input";       // Folder with original PNGs
-const outputDir = "output/frames";     // Compressed and resized output
-const outputFormat = "webp";   // Using WebP for better compression
-const shouldCreateLottie = true;  // Set to true to generate Lottie animation
-const selfContainedLottie = true; // Set to true for embedded images, false for external files
-
-// Image Quality & Compression Settings
-// 
-// WebP Settings Guide:
-// - lossless: true = perfect quality, larger files | false = good quality, much smaller files
-// - quality: 0-100 (only for lossy), 80-90 = good balance, 95+ = very high quality
-// - effort: 0-6, higher = slower but smaller files (4-5 recommended)
-// - nearLossless: subtle quality loss for smaller lossless files
-//
-// PNG Settings Guide:
-// - quality: [min, max] range 0.0-1.0, [0.6, 0.8] = balanced, [0.8, 0.9] = high quality
-// - speed: 1-11, higher = faster compression but larger files
-// - posterize: reduce colors (null = auto, 64-256 = custom limit)
-
-const webpSettings = {
-  lossless: false,     // true = lossless WebP, false = lossy WebP  
-  quality: 75,         // Quality 0-100 (only for lossy WebP)
-  effort: 6,           // Compression effort 0-6 (higher = smaller files, slower)
-  nearLossless: false  // Enable near-lossless compression (requires lossless: true)
-};
-
-const pngSettings = {
-  quality: [0.7, 0.8], // Quality range for pngquant [min, max]
-  speed: 4,            // Compression speed 1-11 (higher = faster, larger files)
-  posterize: null      // Reduce colors (null = auto, number = max colors)
-};
-
-// Lottie Animation Settings
-const lottieFrameRate = 15;       // Animation frame rate (fps) - 12, 15, 24, 30, 60 are common
-const originalFrameRate = 30;     // Original frame rate of the input animation
-const lottieWidth = 200;          // Custom width (null = use optimized image width)
-const lottieHeight = null;        // Custom height (null = use optimized image height)
-const maintainAspectRatio = true; // Keep aspect ratio when scaling dimensions
-
-// Crop Settings
-const cropWidth = 237;           // Crop width (null = no cropping, number = crop to this width)
-const cropHeight = null;          // Crop height (null = no cropping, number = crop to this height)
-const cropFromCenter = true;      // Crop from center (true) or from top-left (false)
-
-// Main optimization function with configurable parameters
-async function optimizeImages(config = {}) {
+// Build one animation from a composition description (a JSON/YAML file or
+// object; see resolveComposition). Each input is optimized on its own into
+// output/layers/<name> and placed as a precomp, between solid-colour layers.
+// External images stay in each input's frames folder unless an asset layout
+// publishes them; dotLottie, asset layouts and the preview apply to the
+// composed animation only.
+async function composeAnimation(config = {}) {
+  const {
+    description,
+    output = null,
+    preset = null,
+    baseConfig = {},
+    verbose = false,
+    outputName = null,
+    selfContainedLottie = true,
+    dotLottie = false,
+    loop = true,
+    autoplay = true,
+    assetLayout = null,
+    assetBaseUrl = null,
+    hashAssetNames = false,
+    preview = false
+  } = config;
+  const reporter = createReporter(config);
+  const startTime = Date.now();
+  const composition = resolveComposition(description, { output, preset, baseConfig });
+
+  const assetPublishing = resolveAssetLayout({ assetLayout, assetBaseUrl, hashAssetNames });
+  if (assetPublishing && dotLottie) {
+    throw new Error("Asset layouts, base URLs and hashed names apply to external images, not dotLottie packages");
+  }
+
+  const settings = {
+    outputName: outputName || composition.name,
+    selfContainedLottie: selfContainedLottie && !assetPublishing,
+    assetPublishing,
+    dotLottie,
+    lottieLoop: loop,
+    lottieAutoplay: autoplay
+  };
+  if (/[\\/]/.test(settings.outputName)) {
+    throw new Error(`Invalid output name "${settings.outputName}" (use a file name without folders or extension)`);
+  }
+
+  // Inputs keep external images in their own frames folders; embedded ones are
+  // carried over as data URIs (and unpacked again for dotLottie)
+  const externalImages = !settings.selfContainedLottie && !dotLottie;
+  const inputLayers = composition.layers.filter(layer => layer.type === "input");
+  const solidCount = composition.layers.length - inputLayers.length;
+  reporter.log(`🧩 Composition: ${inputLayers.length} ${inputLayers.length === 1 ? "input" : "inputs"}, ${solidCount} ${solidCount === 1 ? "solid" : "solids"} → ${composition.output}`);
+
+  const clips = new Map();
+  for (const [index, layer] of inputLayers.entries()) {
+    const prefix = `[${layer.name}]`;
+    const layerOutput = path.join(composition.output, "layers", layer.name);
+    reporter.log(`▶️  ${prefix} ${layer.input}`);
+    reporter.progress({ stage: "layer", name: layer.name, index, total: inputLayers.length });
+
+    // A still image is optimized as a one-frame sequence
+    const stillDir = layer.still ? path.join(layerOutput, "still") : null;
+    if (stillDir) {
+      fs.rmSync(stillDir, { recursive: true, force: true });
+      fs.mkdirSync(stillDir, { recursive: true });
+      fs.copyFileSync(layer.input, path.join(stillDir, path.basename(layer.input)));
+    }
+
+    let result;
+    try {
+      result = await optimizeVariant({
+        ...layer.config,
+        input: stillDir || layer.input,
+        output: layerOutput,
+        selfContainedLottie: !externalImages,
+        logger: verbose ? { log: (...args) => reporter.log(prefix, ...args) } : null,
+        onProgress: null
+      });
+    } catch (error) {
+      throw new Error(`Layer "${layer.name}": ${error.message}`);
+    } finally {
+      if (stillDir) fs.rmSync(stillDir, { recursive: true, force: true });
+    }
+
+    clips.set(layer.name, {
+      lottieData: JSON.parse(fs.readFileSync(result.outputFile, "utf8")),
+      assetsPath: externalImages ? `layers/${layer.name}/` : null,
+      result
+    });
+    reporter.log(`✅ ${prefix} ${result.width}×${result.height}, ${result.timeline.frames} ${result.timeline.frames === 1 ? "frame" : "frames"} (${formatSize(result.totalSize)})`);
+  }
+
+  const { lottieData, layers, segments } = buildComposition(composition, clips);
+  const { lottieFile, fileSize, published, manifestFile } = writeLottieFile(lottieData, {
+    outputDir: composition.output,
+    settings
+  });
+
+  for (const layer of layers) {
+    const timing = `frames ${layer.start}-${layer.end}`;
+    reporter.log(layer.type === "solid" ?
+      `🟦 ${layer.name}: solid ${layer.color}, ${timing}` :
+      `🧱 ${layer.name}: ${layer.width}×${layer.height}, ${timing}${layer.plays > 1 ? `, ${layer.plays} plays` : ""}${layer.hold ? ", holds its last frame" : ""}`);
+  }
+  if (segments.length > 0) {
+    reporter.log(`🏷️  Segments: ${segments.map(segment => `${segment.name} (${segment.start}-${segment.end})`).join(", ")}`);
+  }
+
+  // External images count once each, from wherever they are served
+  const imagesSize = published ? published.size :
+    externalImages ? [...clips.values()].reduce((total, clip) => total + clip.result.framesSize, 0) : 0;
+  const duration = lottieData.op / lottieData.fr;
+
+  reporter.log(`🎬 Composition created: ${lottieFile}`);
+  reporter.log(`📊 Animation specs: ${lottieData.w}x${lottieData.h}, ${lottieData.op} frames, ${lottieData.fr}fps, ${duration.toFixed(1)}s duration`);
+  reporter.log(`📦 Size: ${formatSize(fileSize)}${imagesSize ? ` + ${formatSize(imagesSize)} external images` : ""}`);
+  if (manifestFile) {
+    reporter.log(`🧾 Assets manifest: ${manifestFile}`);
+  }
+
+  let previewFile = null;
+  if (preview) {
+    const html = writePreviewHtml(path.join(composition.output, "preview.html"), {
+      lottieData,
+      assetsDir: published && settings.assetPublishing.baseUrl ? published.imagesDir : composition.output,
+      title: settings.outputName,
+      summary: `${lottieData.w}×${lottieData.h}, ${lottieData.fr}fps, ${lottieData.op} frames (${duration.toFixed(2)}s), ${layers.length} layers, ${path.basename(lottieFile)} ${formatSize(fileSize)}`,
+      loop,
+      autoplay
+    });
+    previewFile = html.file;
+    reporter.log(`🖥️  Preview: ${html.file} (${formatSize(html.size)})`);
+  }
+
+  const result = {
+    outputFile: lottieFile,
+    size: fileSize,
+    width: lottieData.w,
+    height: lottieData.h,
+    frameRate: lottieData.fr,
+    frames: lottieData.op,
+    duration,
+    layers,
+    segments,
+    totalSize: fileSize + imagesSize,
+    assetsManifestFile: manifestFile,
+    previewFile,
+    timing: { totalMs: Date.now() - startTime }
+  };
+
+  reporter.progress({ stage: "done", result });
+  return result;
+}
+
+function describeKey(key) {
+  const color = key.color ? formatColor(key.color) : "auto (border colour)";
+  return key.mode === "chroma" ?
+    `Chroma key: ${color}, tolerance ${key.tolerance}%, softness ${key.softness}%, spill ${key.spill}` :
+    `Background removal: ${color}, tolerance ${key.tolerance}%, softness ${key.softness}%`;
+}
+
+// Key a single source frame and write output/key-preview.png (source on the left,
+// keyed result on a checkerboard on the right) to tune keying settings quickly.
+// `previewAt` is a time in seconds (or timestamp) for videos, and a 1-based frame
+// number for sequences and animated images.
+async function previewKey(config = {}) {
+  const { input, output, isVideo = false, previewAt = null, framePattern = null } = config;
+  const reporter = createReporter(config);
+  const key = resolveKeySettings(config);
+
+  if (!key) {
+    throw new Error("Set chromaKey or removeBackground to preview a key");
+  }
+
+  const inputInfo = isVideo ? { type: "video", kind: "video", label: "Video" } : detectInputType(input);
+  fs.mkdirSync(output, { recursive: true });
+
+  // Decode the chosen frame
+  let frame;
+  let frameLabel;
+
+  if (inputInfo.kind === "video") {
+    const time = parseTime(previewAt) ?? parseTime(config.videoStart) ?? 0;
+    const framePath = path.join(output, "key-preview-source.png");
+    try {
+      await extractVideoFrame(input, time, framePath);
+      frame = fs.readFileSync(framePath);
+    } finally {
+      fs.rmSync(framePath, { force: true });
+    }
+    frameLabel = `${time}s`;
+  } else if (inputInfo.kind === "animated" || inputInfo.kind === "still") {
+    const page = Math.max(1, parseInt(previewAt) || 1) - 1;
+    frame = await sharp(input, { page }).png().toBuffer();
+    frameLabel = `frame ${page + 1}`;
+  } else if (inputInfo.kind === "sequence") {
+    const frames = listSequenceFrames(input, { pattern: framePattern });
+    const index = Math.min(frames.length, Math.max(1, parseInt(previewAt) || 1)) - 1;
+    if (index < 0) throw new Error(`No frames found in ${input}`);
+    frame = fs.readFileSync(path.join(input, frames[index].file));
+    frameLabel = frames[index].file;
+  } else {
+    throw new Error(`Unsupported input: ${input} (${inputInfo.label})`);
+  }
+
+  // Same source-pixel crop as a full run (auto-trim needs every frame, so it's skipped)
+  let image = sharp(frame).ensureAlpha();
+  if (config.cropWidth || config.cropHeight) {
+    const { width, height } = await sharp(frame).metadata();
+    image = image.extract(resolveCropRegion(width, height, {
+      width: config.cropWidth ? parseInt(config.cropWidth) : null,
+      height: config.cropHeight ? parseInt(config.cropHeight) : null,
+      x: config.cropX == null ? null : parseInt(config.cropX),
+      y: config.cropY == null ? null : parseInt(config.cropY),
+      gravity: config.cropGravity || (config.cropFromCenter === false ? "northwest" : "center")
+    }));
+  }
+
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  const original = Buffer.from(data);
+  const { color, transparentPercent } = applyKey(data, info.width, info.height, key);
+
+  const outputFile = path.join(output, "key-preview.png");
+  fs.writeFileSync(outputFile, await renderKeyPreview(original, data, info.width, info.height));
+
+  reporter.log(`🔑 ${describeKey(key)}`);
+  reporter.log(`🖼️  Key preview (${frameLabel}): ${outputFile}`);
+  reporter.log(`📊 Key colour ${formatColor(color)}: ${transparentPercent.toFixed(1)}% of the frame is transparent`);
+
+  return { outputFile, color: formatColor(color), transparentPercent, width: info.width, height: info.height };
+}
+
+// Render an image-sequence Lottie (animation.json or .lottie, made by Camelottie or
+// not) back into output/frames/frame_000001.png… at its own frame rate, one file
+// per Lottie frame, and optionally encode them as GIF, WebM and/or MP4. External
+// images resolve next to the JSON file, or from assetsDir.
+async function extractAnimation(config = {}) {
+  const { input, output, scale = 1, assetsDir = null, gif = false, webm = false, mp4 = false, background = null } = config;
+  const reporter = createReporter(config);
+  const startTime = Date.now();
+  const warnings = [];
+
+  const animation = openAnimation(input, { assetsDir });
+  const renderer = createFrameRenderer(animation, {
+    scale,
+    onWarning: (warning) => {
+      warnings.push(warning);
+      reporter.log(`⚠️  ${warning}`);
+    }
+  });
+  const backgroundColor = background ? formatColor(parseColor(background)) : null;
+
+  if (renderer.frameCount === 0) {
+    throw new Error(`${input} has no frames (ip ${animation.lottieData.ip}, op ${animation.lottieData.op})`);
+  }
+
+  reporter.log(`🎞️  Extracting ${input}: ${renderer.width}×${renderer.height}, ${renderer.frameCount} frames at ${renderer.frameRate}fps`);
+
+  // Replace frames from an earlier extraction, which may have been longer
+  const framesDir = path.join(output, "frames");
+  fs.mkdirSync(framesDir, { recursive: true });
+  fs.readdirSync(framesDir)
+    .filter(file => /^frame_\d+\.png$/.test(file))
+    .forEach(file => fs.rmSync(path.join(framesDir, file)));
+
+  let previous = { key: null, png: null };
+  let uniqueFrames = 0;
+
+  for (let index = 0; index < renderer.frameCount; index++) {
+    const { key, data } = await renderer.render(renderer.firstFrame + index, previous.key);
+
+    // Held frames are copies of the previous file
+    if (data) {
+      const png = await sharp(data, { raw: { width: renderer.width, height: renderer.height, channels: 4 } }).png().toBuffer();
+      previous = { key, png };
+      uniqueFrames++;
+    }
+
+    fs.writeFileSync(path.join(framesDir, `frame_${String(index + 1).padStart(6, "0")}.png`), previous.png);
+    reporter.progress({ stage: "rendering", frame: index + 1, total: renderer.frameCount });
+  }
+
+  reporter.log(`✅ Wrote ${renderer.frameCount} frames (${uniqueFrames} unique) to ${framesDir}`);
+
+  // Encode the frames with FFmpeg
+  const videos = {};
+  const baseName = path.parse(input).name;
+
+  for (const [type, enabled] of Object.entries({ gif, webm, mp4 })) {
+    if (!enabled) continue;
+
+    const videoFile = path.join(output, `${baseName}.${type}`);
+    reporter.progress({ stage: "encoding", type });
+    await encodeFrameSequence(framesDir, videoFile, {
+      frameRate: renderer.frameRate,
+      width: renderer.width,
+      height: renderer.height,
+      background: backgroundColor
+    });
+
+    videos[type] = videoFile;
+    reporter.log(`🎬 ${type.toUpperCase()}: ${videoFile} (${formatSize(fs.statSync(videoFile).size)})`);
+  }
+
+  reporter.log(`💡 Re-optimize with: camelottie optimize ${framesDir} <output> --original-fps ${renderer.frameRate}`);
+
+  const result = {
+    framesDir,
+    frames: renderer.frameCount,
+    uniqueFrames,
+    width: renderer.width,
+    height: renderer.height,
+    frameRate: renderer.frameRate,
+    videos,
+    warnings,
+    timing: { totalMs: Date.now() - startTime }
+  };
+
+  reporter.progress({ stage: "done", result });
+  return result;
+}
+
+// Run the pipeline once. A temp frames folder it creates is removed even when
+// the run fails, so failed conversions don't leave extracted frames behind.
+async function runOptimization(config) {
+  const ownedTempDir = config.tempDir ? null : path.join(config.output, "temp_frames");
+
+  try {
+    return await runPipeline(config);
+  } finally {
+    if (ownedTempDir && fs.existsSync(ownedTempDir)) {
+      fs.rmSync(ownedTempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Extract, optimize frames, assemble the Lottie
+async function runPipeline(config) {
   const {
     input,
     output,
     tempDir = null,
     isVideo = false,
     format = "png",
+    autoFormats = null,
+    players = null,
+    minSsim = 0.95,
+    scale = 0.33,
+    targetWidth = null,
+    targetHeight = null,
+    kernel = "lanczos3",
+    density = 1,
     lottieWidth = null,
     lottieHeight = null,
     cropWidth = null,
     cropHeight = null,
+    cropX = null,
+    cropY = null,
+    cropGravity = null,
     cropFromCenter = true,
+    autoTrim = false,
+    autoTrimPadding = 0,
+    autoTrimThreshold = 0,
     lottieFrameRate = 15,
-    originalFrameRate = 30,
+    originalFrameRate = null, // null = detect from the video or frame delays (30 for sequences)
+    videoStart = null,
+    videoEnd = null,
+    videoDuration = null,
+    frameStep = 1,
+    streamVideo = false,
+    framePattern = null,
+    firstFrame = null,
+    lastFrame = null,
+    fillGaps = false,
     selfContainedLottie = true,
-    webpQuality = 75
+    dotLottie = false,
+    loop = true,
+    autoplay = true,
+    webpQuality = null,
+    webpLossless = null,
+    webpNearLossless = null,
+    webpEffort = null,
+    webpSettings = {},
+    pngQuality = null,
+    pngSpeed = null,
+    pngPosterize = null,
+    pngDithering = null,
+    pngSettings = {},
+    globalPalette = false,
+    paletteColors = 256,
+    paletteSampleFrames = 16,
+    jpegQuality = null,
+    jpegSettings = {},
+    concurrency = os.cpus().length,
+    cache = true,
+    cacheDir = null,
+    dedupeFrames = true,
+    dedupeThreshold = 0,
+    deltaEncoding = false,
+    deltaKeyframeInterval = 30,
+    deltaMaxPatchArea = 0.5,
+    deltaThreshold = 0,
+    deltaVerifyTolerance = 1,
+    preview = false,
+    contactSheet = false,
+    contactSheetColumns = null,
+    inPoint = null,
+    outPoint = null,
+    pingPong = false,
+    segments = null,
+    segmentsFile = null,
+    outputName = "animation",
+    assetLayout = null,
+    assetBaseUrl = null,
+    hashAssetNames = false
   } = config;
 
-  // Set global variables for backward compatibility
-  global.inputDir = isVideo ? tempDir : input;
-  global.outputDir = path.join(output, format === "webp" ? "frames" : "frames");
-  global.outputFormat = format;
-  global.shouldCreateLottie = true;
-  global.selfContainedLottie = selfContainedLottie;
-  global.lottieFrameRate = lottieFrameRate;
-  global.originalFrameRate = originalFrameRate;
-  global.lottieWidth = lottieWidth;
-  global.lottieHeight = lottieHeight;
-  global.maintainAspectRatio = true;
-  global.cropWidth = cropWidth;
-  global.cropHeight = cropHeight;
-  global.cropFromCenter = cropFromCenter;
-
-  // WebP settings
-  global.webpSettings = {
-    lossless: false,
-    quality: Math.max(0, Math.min(100, parseInt(webpQuality) || 75)),
-    effort: 6,
-    nearLossless: false
-  };
+  const reporter = createReporter(config);
+  const startTime = Date.now();
+
+  if (!Object.values(sharp.kernel).includes(kernel)) {
+    throw new Error(`Unknown resampling kernel "${kernel}". Use one of: ${Object.values(sharp.kernel).join(", ")}`);
+  }
+
+  if (outputName && /[\\/]/.test(outputName)) {
+    throw new Error(`Invalid output name "${outputName}" (use a file name without folders or extension)`);
+  }
+
+  // Publishing layouts are for external images
+  const assetPublishing = resolveAssetLayout({ assetLayout, assetBaseUrl, hashAssetNames });
+  if (assetPublishing && dotLottie) {
+    throw new Error("Asset layouts, base URLs and hashed names apply to external images, not dotLottie packages");
+  }
+
+  const densityFactor = Math.max(0.01, parseFloat(density) || 1);
+  const outputFormats = resolveOutputFormats(format, { autoFormats, players });
+
+  // Detect the input type from its content (isVideo forces the video path)
+  const inputInfo = isVideo ? { type: "video", kind: "video", label: "Video" } : detectInputType(input);
+
+  if (inputInfo.kind !== "sequence" && inputInfo.kind !== "video" && inputInfo.kind !== "animated") {
+    throw new Error(`Unsupported input: ${input} (${inputInfo.label}). Use a folder of frames, a video, GIF, APNG or animated WebP.`);
+  }
+
+  // Videos and animated images are decoded into a temp frames folder first
+  const needsExtraction = inputInfo.kind !== "sequence";
+  const framesSourceDir = needsExtraction ? (tempDir || path.join(output, "temp_frames")) : input;
+  const isStreaming = inputInfo.kind === "video" && streamVideo;
+
+  // Resolved settings for this run (kept per call so conversions can run side by side)
+  const settings = {
+    inputDir: framesSourceDir,
+    outputDir: path.join(output, "frames"),
+    // "auto" picks per frame among outputFormats (already limited to the target players)
+    outputFormat: format === "auto" ? "auto" : outputFormats[0],
+    outputFormats: outputFormats,
+    minSsim: Math.max(0, Math.min(1, parseFloat(minSsim) || 0)),
+    // Frame pixel size: a target size (either side may be auto) or a scale factor,
+    // both multiplied by the density for @2x/@3x variants
+    density: densityFactor,
+    scale: Math.max(0.01, parseFloat(scale) || 0.33) * densityFactor,
+    targetWidth: targetWidth ? Math.round(parseInt(targetWidth) * densityFactor) : null,
+    targetHeight: targetHeight ? Math.round(parseInt(targetHeight) * densityFactor) : null,
+    kernel: kernel,
+    concurrency: Math.max(1, parseInt(concurrency) || os.cpus().length),
+    shouldCreateLottie: true,
+    outputName: outputName || "animation", // <outputName>.json or .lottie
+    selfContainedLottie: selfContainedLottie && !assetPublishing, // A publishing layout implies external images
+    assetPublishing: assetPublishing, // { layout, baseUrl, hashNames } or null
+    dotLottie: dotLottie,
+    lottieLoop: loop,
+    lottieAutoplay: autoplay,
+    lottieFrameRate: lottieFrameRate,
+    originalFrameRate: parseFloat(originalFrameRate) || null, // Resolved once the input is read
+    lottieWidth: lottieWidth,
+    lottieHeight: lottieHeight,
+    maintainAspectRatio: true,
+    cropRegion: null, // Source pixels, resolved once the frames are known
+    key: resolveKeySettings(config), // Chroma key / background removal (null = off)
+    dedupeFrames: dedupeFrames,
+    dedupeThreshold: Math.max(0, parseFloat(dedupeThreshold) || 0),
+    deltaEncoding: deltaEncoding,
+    deltaKeyframeInterval: Math.max(1, parseInt(deltaKeyframeInterval) || 30),
+    deltaMaxPatchArea: Math.max(0, Math.min(1, parseFloat(deltaMaxPatchArea) || 0.5)),
+    deltaThreshold: Math.max(0, parseInt(deltaThreshold) || 0),
+    deltaVerifyTolerance: Math.max(0, parseFloat(deltaVerifyTolerance) || 0),
+
+    // Timeline edits (positions are Lottie frames or seconds, resolved at assembly)
+    inPoint: inPoint,
+    outPoint: outPoint,
+    pingPong: Boolean(pingPong),
+    segments: [...parseSegments(segments), ...(segmentsFile ? loadSegmentsFile(segmentsFile) : [])],
+
+    // WebP settings (webpQuality, webpLossless, webpNearLossless and webpEffort are
+    // shorthands for the webpSettings fields)
+    webpSettings: resolveWebpSettings({
+      ...webpSettings,
+      ...definedOnly({ quality: webpQuality, lossless: webpLossless, nearLossless: webpNearLossless, effort: webpEffort })
+    }),
+
+    // PNG settings (pngQuality, pngSpeed, pngPosterize and pngDithering are
+    // shorthands for the pngSettings fields)
+    pngSettings: resolvePngSettings({
+      ...pngSettings,
+      ...definedOnly({ quality: pngQuality, speed: pngSpeed, posterize: pngPosterize, dithering: pngDithering })
+    }),
 
-  // PNG settings
-  global.pngSettings = {
-    quality: [0.7, 0.8],
-    speed: 4,
-    posterize: null
+    // One palette for every PNG frame instead of pngquant per frame
+    globalPalette: Boolean(globalPalette),
+    paletteColors: Math.max(2, Math.min(256, parseInt(paletteColors) || 256)),
+    paletteSampleFrames: Math.max(1, parseInt(paletteSampleFrames) || 16),
+    palette: null, // Built from sampled frames before optimizing
+
+    // JPEG settings (opaque frames only: transparency is flattened onto white)
+    jpegSettings: {
+      mozjpeg: true,
+      ...jpegSettings,
+      quality: Math.max(1, Math.min(100, parseInt(jpegQuality ?? jpegSettings.quality) || 80))
+    }
   };
 
-  if (!fs.existsSync(global.outputDir)) fs.mkdirSync(global.outputDir, { recursive: true });
+  // Catch malformed timeline positions before any frames are processed
+  parseFramePosition(settings.inPoint, 1, "in point");
+  parseFramePosition(settings.outPoint, 1, "out point");
+  settings.segments.forEach(segment => {
+    parseFramePosition(segment.start, 1, `start of segment "${segment.name}"`);
+    parseFramePosition(segment.end, 1, `end of segment "${segment.name}"`);
+  });
+
+  if (!fs.existsSync(settings.outputDir)) fs.mkdirSync(settings.outputDir, { recursive: true });
+
+  if (needsExtraction && !isStreaming && !fs.existsSync(framesSourceDir)) fs.mkdirSync(framesSourceDir, { recursive: true });
 
   let files;
+  let timeline; // Frames in playback order at originalFrameRate (may repeat files)
+  let videoSource = null; // Probe results and range for streamed video
+  const warnings = [];
 
   // Handle video input
-  if (isVideo) {
-    console.log(`🎬 Processing video: ${input}`);
+  if (inputInfo.kind === "video") {
+    reporter.log(`🎬 Processing video: ${input}`);
+
+    const probe = await probeVideo(input);
+    const range = resolveTimeRange(probe.duration, { start: videoStart, end: videoEnd, duration: videoDuration });
+    const step = Math.max(1, parseInt(frameStep) || 1);
+    reporter.log(`📊 Video duration: ${probe.duration.toFixed(1)}s${range.start > 0 || range.duration < probe.duration - range.start ? ` (using ${range.start.toFixed(2)}s-${(range.start + range.duration).toFixed(2)}s)` : ""}`);
+
+    if (!settings.originalFrameRate) {
+      settings.originalFrameRate = probe.frameRate || 30;
+      reporter.log(`🔍 Source frame rate: ${settings.originalFrameRate}fps (from video metadata)`);
+    }
+
+    // Every Nth frame: decode at a lower rate so timestamps stay exact
+    const extractRate = Math.round((settings.originalFrameRate / step) * 1000) / 1000;
+    settings.originalFrameRate = extractRate;
+
+    const expectedFrames = Math.ceil(range.duration * extractRate);
+    reporter.log(`🎯 ${isStreaming ? "Streaming" : "Extracting"} ${expectedFrames} frames at ${extractRate}fps${step > 1 ? ` (every ${step} frames)` : ""}`);
+    reporter.progress({ stage: "extracting", frame: 0, total: expectedFrames });
+
+    if (isStreaming) {
+      // Frames are decoded and optimized together below
+      videoSource = { ...range, frameRate: extractRate, width: probe.width, height: probe.height, expectedFrames };
+    } else {
+      await extractFramesFromVideo(input, framesSourceDir, { ...range, frameRate: extractRate, expectedFrames }, reporter);
+
+      // Get extracted frames
+      files = fs.readdirSync(framesSourceDir)
+        .filter(f => f.endsWith(".png"))
+        .sort(naturalCompare); // Ensure proper ordering
+      timeline = files;
+
+      reporter.log(`📁 Found ${files.length} extracted frames`);
+    }
+  } else if (inputInfo.kind === "animated") {
+    // Handle GIF, APNG and animated WebP input, keeping each frame's delay
+    reporter.log(`🎞️  Processing ${inputInfo.label}: ${input}`);
+    reporter.progress({ stage: "extracting", frame: 0, total: null });
 
-    // Extract frames from video
-    const tempFramesDir = tempDir;
-    await extractFramesFromVideo(input, tempFramesDir, originalFrameRate);
+    const animated = await extractAnimatedFrames(input, inputInfo.type, framesSourceDir, reporter);
+    files = animated.files;
 
-    // Get extracted frames
-    files = fs.readdirSync(tempFramesDir)
-      .filter(f => f.endsWith(".png"))
-      .sort(); // Ensure proper ordering
+    if (!settings.originalFrameRate) {
+      settings.originalFrameRate = getDelayFrameRate(animated.delays);
+      reporter.log(`🔍 Source frame rate: ${settings.originalFrameRate}fps (from frame delays)`);
+    }
+    timeline = expandFrameDelays(files, animated.delays, settings.originalFrameRate);
 
-    console.log(`📁 Found ${files.length} extracted frames`);
+    reporter.log(`📁 Found ${files.length} frames (${(timeline.length / settings.originalFrameRate).toFixed(1)}s at ${settings.originalFrameRate}fps)`);
   } else {
-    // Handle PNG directory input
-    console.log(`🖼️  Processing PNG sequence: ${input}`);
-    files = fs.readdirSync(input).filter(f => f.endsWith(".png"));
-    console.log(`📁 Found ${files.length} PNG files`);
+    // Handle image sequence input (PNG, JPEG or WebP frames) in natural order
+    reporter.log(`🖼️  Processing image sequence: ${input}${framePattern ? ` (pattern: ${framePattern})` : ""}`);
+    const frames = listSequenceFrames(input, {
+      pattern: framePattern,
+      firstFrame: firstFrame === null ? null : parseInt(firstFrame),
+      lastFrame: lastFrame === null ? null : parseInt(lastFrame)
+    });
+    files = frames.map(frame => frame.file);
+    timeline = buildSequenceTimeline(frames, fillGaps);
+    reporter.log(`📁 Found ${files.length} image files`);
+    settings.originalFrameRate = settings.originalFrameRate || 30; // Sequences carry no timing
+
+    // Warn about numbering problems that would change the animation's timing
+    const { gaps, duplicates } = findSequenceGaps(frames);
+    if (gaps.length > 0) {
+      const missingCount = gaps.reduce((total, gap) => total + gap.to - gap.from + 1, 0);
+      warnings.push(fillGaps ?
+        `Missing frame numbers ${formatFrameRanges(gaps)}: holding the previous frame for ${missingCount} frames` :
+        `Missing frame numbers ${formatFrameRanges(gaps)} (${missingCount} frames); use fillGaps to hold the previous frame`);
+    }
+    for (const duplicate of duplicates) {
+      warnings.push(`Duplicate frame number ${duplicate.number}: ${duplicate.files.join(", ")}`);
+    }
+    warnings.forEach(warning => reporter.log(`⚠️  ${warning}`));
+  }
+
+  if (!videoSource && files.length === 0) {
+    throw new Error(`No frames found in ${input}`);
+  }
+
+  // Crop in source pixels, before resizing and compression
+  if (autoTrim && (cropWidth || cropHeight)) {
+    throw new Error("Use either autoTrim or an explicit crop size, not both");
+  }
+  if (autoTrim && videoSource) {
+    throw new Error("autoTrim scans every frame before optimizing, so it can't be combined with streamVideo");
+  }
+
+  if (autoTrim || cropWidth || cropHeight) {
+    const sourceMetadata = videoSource || await sharp(path.join(framesSourceDir, files[0])).metadata();
+    const sourceSize = `${sourceMetadata.width}×${sourceMetadata.height}`;
+
+    if (autoTrim) {
+      const padding = Math.max(0, parseInt(autoTrimPadding) || 0);
+      reporter.log(`🔍 Auto-trim: scanning ${files.length} frames for visible content...`);
+      settings.cropRegion = await findTrimRegion(framesSourceDir, files, {
+        sourceWidth: sourceMetadata.width,
+        sourceHeight: sourceMetadata.height,
+        padding,
+        alphaThreshold: Math.max(0, Math.min(254, parseInt(autoTrimThreshold) || 0)),
+        concurrency: settings.concurrency
+      });
+
+      if (!settings.cropRegion) {
+        warnings.push("Auto-trim: every frame is fully transparent, nothing to trim");
+        reporter.log(`⚠️  ${warnings[warnings.length - 1]}`);
+      } else if (settings.cropRegion.width === sourceMetadata.width && settings.cropRegion.height === sourceMetadata.height) {
+        settings.cropRegion = null;
+        reporter.log(`✂️  Auto-trim: content fills the whole ${sourceSize} frame, nothing to trim`);
+      } else {
+        reporter.log(`✂️  Auto-trim: ${sourceSize} → ${settings.cropRegion.width}×${settings.cropRegion.height} (offset: ${settings.cropRegion.left},${settings.cropRegion.top}, padding: ${padding}px)`);
+      }
+    } else {
+      settings.cropRegion = resolveCropRegion(sourceMetadata.width, sourceMetadata.height, {
+        width: cropWidth ? parseInt(cropWidth) : null,
+        height: cropHeight ? parseInt(cropHeight) : null,
+        x: cropX === null ? null : parseInt(cropX),
+        y: cropY === null ? null : parseInt(cropY),
+        gravity: cropGravity || (cropFromCenter ? "center" : "northwest")
+      });
+      reporter.log(`✂️  Cropping: ${sourceSize} → ${settings.cropRegion.width}×${settings.cropRegion.height} (offset: ${settings.cropRegion.left},${settings.cropRegion.top})`);
+    }
   }
 
   // Dynamic imports for ES modules
   const { default: imagemin } = await import("imagemin");
-  const { default: imageminWebp } = await import("imagemin-webp");
   const { default: imageminPngquant } = await import("imagemin-pngquant");
 
-  for (const file of files) {
-    const inputPath = path.join(global.inputDir, file);
-    const baseName = path.parse(file).name;
-    const tempExt = global.outputFormat === "webp" ? ".temp.webp" : ".temp.png";
-    const tempPath = path.join(global.outputDir, baseName + tempExt);
-
-    // Resize with Sharp to 33% and convert to desired format
-    if (global.outputFormat === "webp") {
-      const webpOptions = {
-        lossless: global.webpSettings.lossless,
-        effort: global.webpSettings.effort,
-        nearLossless: global.webpSettings.nearLossless
-      };
+  const extractTime = Date.now();
+  let completedFrames = 0;
 
-      // Only add quality for lossy WebP
-      if (!global.webpSettings.lossless) {
-        webpOptions.quality = global.webpSettings.quality;
-      }
+  const resizeInfo = settings.targetWidth || settings.targetHeight ?
+    `${settings.targetWidth || "auto"}×${settings.targetHeight || "auto"} px` :
+    `scale ${Math.round(settings.scale * 1000) / 1000}`;
+  reporter.log(`📏 Resize: ${resizeInfo} (${settings.kernel})${settings.density !== 1 ? ` for @${settings.density}x` : ""}`);
+  if (settings.key) {
+    reporter.log(`🔑 ${describeKey(settings.key)}`);
+  }
 
-      await sharp(inputPath)
-        .resize({ width: Math.round(await getImageWidth(inputPath) * 0.33) })
-        .webp(webpOptions)
-        .toFile(tempPath);
-    } else {
-      await sharp(inputPath)
-        .resize({ width: Math.round(await getImageWidth(inputPath) * 0.33) })
-        .toFile(tempPath);
+  // Global palette: quantize a sample of the rendered frames together, so every
+  // PNG frame shares the same colours
+  if (settings.globalPalette && settings.outputFormats.includes("png")) {
+    if (videoSource) {
+      throw new Error("globalPalette samples frames before optimizing, so it can't be combined with streamVideo");
     }
 
-    let finalPath;
+    const sampleFiles = sampleEvenly(files, settings.paletteSampleFrames);
+    const samples = await mapWithConcurrency(sampleFiles, settings.concurrency, async (file) =>
+      (await renderFrame(file, settings)).ensureAlpha().raw().toBuffer({ resolveWithObject: true }));
 
-    if (global.outputFormat === "webp") {
-      // For WebP, Sharp already optimized it, so just rename
-      finalPath = path.join(global.outputDir, baseName + ".webp");
-      fs.renameSync(tempPath, finalPath);
-    } else {
-      // For PNG, use imagemin compression with custom settings
-      const pngquantOptions = {
-        quality: global.pngSettings.quality,
-        speed: global.pngSettings.speed
-      };
+    settings.palette = await buildGlobalPalette(samples, settings.paletteColors);
+    reporter.log(`🎨 Global palette: ${settings.palette.length} colours from ${sampleFiles.length} of ${files.length} frames`);
+  }
 
-      // Add posterize option if specified
-      if (global.pngSettings.posterize) {
-        pngquantOptions.posterize = global.pngSettings.posterize;
-      }
+  // Reuse frames optimized earlier with the same source bytes and settings
+  const frameCache = cache ? openFrameCache(cacheDir || getDefaultCacheDir(output)) : null;
+  const frameSettingsKey = getFrameSettingsKey(settings);
 
-      const plugins = [imageminPngquant(pngquantOptions)];
-      const compressed = await imagemin([tempPath], {
-        destination: global.outputDir,
-        plugins,
-      });
+  // Optimize one frame from a file in inputDir, or from raw RGBA pixels when streaming
+  const processFrame = async (file, rawFrame = null) => {
+    const baseName = path.parse(file).name;
+    let frameSize;
 
-      finalPath = path.join(global.outputDir, baseName + ".png");
-      fs.renameSync(compressed[0].destinationPath, finalPath);
+    const cacheKey = frameCache ? frameCache.keyFor(rawFrame ? rawFrame.data : path.join(settings.inputDir, file), frameSettingsKey) : null;
+    const cached = frameCache ? frameCache.restore(cacheKey, settings.outputDir, baseName) : null;
+
+    if (cached) {
+      frameSize = { ...cached, format: getFormatFromFile(cached.file) };
+    } else {
+      frameSize = await optimizeFrame(file, settings, { imagemin, imageminPngquant }, rawFrame);
+      if (frameCache) frameCache.store(cacheKey, path.join(settings.outputDir, frameSize.file));
     }
 
-    // Clean up temp file (if it still exists)
-    try {
-      if (fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
+    // Drop this frame's output from earlier runs in another format
+    for (const { extension } of Object.values(formats)) {
+      if (baseName + extension !== frameSize.file) {
+        fs.rmSync(path.join(settings.outputDir, baseName + extension), { force: true });
       }
-    } catch (error) {
-      // Ignore cleanup errors, the temp file may have been consumed by imagemin
     }
-    console.log(`Processed ${file} -> ${finalPath}`);
+
+    const outputPath = path.join(settings.outputDir, frameSize.file);
+    completedFrames++;
+    reporter.progress({ stage: "optimizing", frame: completedFrames, total: files ? files.length : videoSource.expectedFrames, file, cached: Boolean(cached) });
+    reporter.log(`${cached ? "Cached" : "Processed"} ${file} -> ${outputPath}`);
+
+    return frameSize;
+  };
+
+  let frameSizes;
+
+  if (videoSource) {
+    // Pipe raw frames from FFmpeg straight into Sharp; nothing is written to temp_frames
+    const streamedFiles = [];
+    frameSizes = [];
+
+    await streamVideoFrames(input, { ...videoSource, concurrency: settings.concurrency }, async (data, index) => {
+      const file = `frame_${String(index + 1).padStart(6, "0")}.png`;
+      streamedFiles[index] = file;
+      frameSizes[index] = await processFrame(file, { data, width: videoSource.width, height: videoSource.height });
+    });
+
+    files = streamedFiles;
+    timeline = files;
+    reporter.log(`📁 Streamed ${files.length} frames`);
+
+    if (files.length === 0) {
+      throw new Error(`No frames decoded from ${input}`);
+    }
+  } else {
+    // Optimize frames in parallel; results (and output names) stay in input order
+    frameSizes = await mapWithConcurrency(files, settings.concurrency, (file) => processFrame(file));
+  }
+
+  if (frameCache) {
+    frameCache.save(files.length * 3); // Keep a few older versions, e.g. for size budget retries
   }
 
-  console.log("✅ All images processed.");
+  const optimizeTime = Date.now();
+
+  reporter.log("✅ All images processed.");
+  if (frameCache && frameCache.stats.hits > 0) {
+    reporter.log(`♻️  Cache: ${frameCache.stats.hits} of ${files.length} frames reused`);
+  }
 
   // Display compression settings used
-  if (global.outputFormat === "webp") {
-    const compressionType = global.webpSettings.lossless ? "lossless" : `lossy (quality: ${global.webpSettings.quality})`;
-    console.log(`🔧 WebP settings: ${compressionType}, effort: ${global.webpSettings.effort}`);
-  } else {
-    console.log(`🔧 PNG settings: quality: [${global.pngSettings.quality.join(', ')}], speed: ${global.pngSettings.speed}`);
+  if (settings.outputFormats.includes("webp")) {
+    const compressionType = settings.webpSettings.lossless ? "lossless" :
+      settings.webpSettings.nearLossless ? `near-lossless (quality: ${settings.webpSettings.quality})` :
+      `lossy (quality: ${settings.webpSettings.quality})`;
+    reporter.log(`🔧 WebP settings: ${compressionType}, effort: ${settings.webpSettings.effort}`);
+  }
+  if (settings.palette) {
+    reporter.log(`🔧 PNG settings: global palette of ${settings.palette.length} colours, no dithering`);
+  } else if (settings.outputFormats.includes("png")) {
+    const posterize = settings.pngSettings.posterize !== null ? `, posterize: ${settings.pngSettings.posterize}` : "";
+    const dithering = settings.pngSettings.dithering !== null ? `, dithering: ${settings.pngSettings.dithering}` : "";
+    reporter.log(`🔧 PNG settings: quality: [${settings.pngSettings.quality.join(', ')}], speed: ${settings.pngSettings.speed}${posterize}${dithering}`);
+  }
+  if (settings.outputFormats.includes("jpeg")) {
+    reporter.log(`🔧 JPEG settings: quality: ${settings.jpegSettings.quality}${settings.jpegSettings.mozjpeg ? " (mozjpeg)" : ""}`);
+  }
+
+  // Frames written per format
+  const formatCounts = {};
+  frameSizes.forEach(frame => {
+    formatCounts[frame.format] = (formatCounts[frame.format] || 0) + 1;
+  });
+
+  if (settings.outputFormat === "auto") {
+    const counts = Object.entries(formatCounts).map(([name, count]) => `${count} ${formats[name].label}`).join(", ");
+    reporter.log(`🧪 Auto format: ${counts} (smallest of ${settings.outputFormats.join("/")} with SSIM ≥ ${settings.minSsim})`);
   }
 
   // Generate Lottie animation if enabled
-  if (global.shouldCreateLottie) {
-    await createLottieAnimation(files);
+  const frameFiles = new Map(files.map((file, index) => [file, frameSizes[index].file]));
+  let animation = null;
+  if (settings.shouldCreateLottie) {
+    reporter.progress({ stage: "assembling", frames: files.length });
+    animation = await createLottieAnimation(timeline, frameFiles, settings, reporter, {
+      encoders: { imagemin, imageminPngquant },
+      hasSourceFiles: !videoSource
+    });
+  }
+
+  // Review files beside the animation (not counted in the output size)
+  let reviewFiles = { previewFile: null, contactSheetFile: null };
+  if (animation && (preview || contactSheet)) {
+    reviewFiles = await writeReviewFiles(animation, frameFiles, settings, {
+      title: path.basename(path.resolve(input)),
+      preview,
+      contactSheet,
+      contactSheetColumns,
+      hasSourceFiles: !videoSource
+    }, reporter);
+  }
+
+  const endTime = Date.now();
+  const framesSize = frameSizes.reduce((total, frame) => total + frame.bytes, 0);
+
+  const result = {
+    outputFile: animation ? animation.outputFile : null,
+    framesDir: settings.outputDir,
+    ...reviewFiles,
+    format: settings.outputFormat,
+    formats: formatCounts,
+    width: animation ? animation.width : null,
+    height: animation ? animation.height : null,
+    frameRate: settings.lottieFrameRate,
+    sourceFrameRate: settings.originalFrameRate,
+    duration: animation ? animation.duration : null,
+    timeline: animation ? animation.timeline : null,
+    segments: animation ? animation.segments : [],
+    frames: {
+      source: files.length,
+      selected: animation ? animation.selectedFrames : 0,
+      unique: animation ? animation.uniqueFrames : 0,
+      layers: animation ? animation.layerCount : 0,
+      assets: animation ? animation.assetCount : 0
+    },
+    frameSizes,
+    framesSize,
+    cache: frameCache ? { ...frameCache.stats } : null,
+    warnings,
+    animationSize: animation ? animation.size : 0,
+    externalAssets: animation ? animation.externalAssets : false, // The animation needs the image files beside it
+    totalSize: animation ? animation.size + (animation.externalAssets ? animation.assetsSize ?? framesSize : 0) : framesSize,
+    assetsManifestFile: animation ? animation.assetsManifestFile : null,
+    timing: {
+      extractMs: extractTime - startTime,
+      optimizeMs: optimizeTime - extractTime,
+      assembleMs: endTime - optimizeTime,
+      totalMs: endTime - startTime
+    }
+  };
+
+  reporter.progress({ stage: "done", result });
+  return result;
+}
+
+// Write <outputName>.json or .lottie into outputDir. External images are read
+// from their `u` relative to outputDir, like a player would; with a publishing
+// layout they are first copied into outputDir/images and listed in
+// assets-manifest.json.
+function writeLottieFile(lottieData, { outputDir, settings }) {
+  if (settings.dotLottie) {
+    const lottieFile = path.join(outputDir, `${settings.outputName}.lottie`);
+    const { size } = writeDotLottie(lottieData, lottieFile, {
+      loop: settings.lottieLoop,
+      autoplay: settings.lottieAutoplay
+    });
+    return { lottieFile, fileSize: size, published: null, manifestFile: null };
   }
+
+  // Copy external images into the publishing layout's images/ folder first, so
+  // the JSON references them
+  const published = settings.assetPublishing ?
+    publishAssets(lottieData, { sourceDir: outputDir, outputDir, name: settings.outputName, ...settings.assetPublishing }) :
+    null;
+
+  const lottieFile = path.join(outputDir, `${settings.outputName}.json`);
+  const jsonString = JSON.stringify(lottieData, null, 2);
+  fs.writeFileSync(lottieFile, jsonString);
+
+  const manifestFile = published ?
+    writeAssetsManifest(outputDir, {
+      animationFile: lottieFile,
+      layout: settings.assetPublishing.layout,
+      baseUrl: settings.assetPublishing.baseUrl,
+      files: published.files
+    }) :
+    null;
+
+  return { lottieFile, fileSize: jsonString.length, published, manifestFile };
 }
 
-async function getImageWidth(filePath) {
-  const meta = await sharp(filePath).metadata();
-  return meta.width;
+// Write preview.html (the animation beside its source frames) and/or
+// contact-sheet.png (the frames the animation shows) next to the animation
+async function writeReviewFiles(animation, frameFiles, settings, options, reporter) {
+  const { title, preview, contactSheet, contactSheetColumns, hasSourceFiles } = options;
+  const outputDir = path.dirname(animation.outputFile);
+  const files = { previewFile: null, contactSheetFile: null };
+
+  if (preview) {
+    // Streamed video frames were never written to disk
+    const sourceFrames = hasSourceFiles ?
+      await renderSourceFrames(animation.frameSelection.map(frameData => ({
+        path: path.join(settings.inputDir, frameData.file),
+        start: frameData.start,
+        duration: frameData.duration
+      })), { concurrency: settings.concurrency }) :
+      null;
+
+    const { lottieData } = animation;
+    const html = writePreviewHtml(path.join(outputDir, "preview.html"), {
+      lottieData,
+      assetsDir: animation.assetsDir,
+      sourceFrames,
+      title,
+      summary: `${lottieData.w}×${lottieData.h}, ${lottieData.fr}fps, ${lottieData.op} frames (${animation.duration.toFixed(2)}s), ${path.basename(animation.outputFile)} ${formatSize(animation.size)}`,
+      loop: settings.lottieLoop,
+      autoplay: settings.lottieAutoplay
+    });
+
+    files.previewFile = html.file;
+    reporter.log(`🖥️  Preview: ${html.file} (${formatSize(html.size)}${sourceFrames ? "" : ", no source frames for streamed video"})`);
+  }
+
+  if (contactSheet) {
+    // Each unique frame the animation shows, with the Lottie frames it's on screen
+    const frames = animation.heldFrames.map(frameData => ({
+      path: path.join(settings.outputDir, frameFiles.get(frameData.file)),
+      label: `Frame ${frameData.originalIndex + 1} · f${frameData.start}${frameData.duration > 1 ? `-${frameData.start + frameData.duration - 1}` : ""}`
+    }));
+
+    const sheet = await writeContactSheet(frames, path.join(outputDir, "contact-sheet.png"), {
+      columns: contactSheetColumns,
+      concurrency: settings.concurrency
+    });
+
+    files.contactSheetFile = sheet.file;
+    reporter.log(`🗂️  Contact sheet: ${frames.length} frames in ${sheet.columns}×${sheet.rows} (${sheet.width}×${sheet.height}px): ${sheet.file}`);
+  }
+
+  return files;
 }
 
-async function createLottieAnimation(files) {
-  console.log("🎬 Creating Lottie animation...");
-  
-  // Calculate frame skipping ratio to maintain original animation speed
-  const frameSkipRatio = global.originalFrameRate / global.lottieFrameRate;
+// Copy of an object without its null/undefined values (unset shorthand options)
+function definedOnly(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Number within [min, max], or the fallback when it isn't a number
+function clampNumber(value, min, max, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+function resolveWebpSettings(webpSettings) {
+  const { lossless = false, nearLossless = false, effort = 6, quality = 75 } = webpSettings;
+  return {
+    lossless: lossless === true || lossless === "true",
+    effort: Math.round(clampNumber(effort, 0, 6, 6)),
+    nearLossless: nearLossless === true || nearLossless === "true",
+    quality: Math.round(clampNumber(quality, 0, 100, 75))
+  };
+}
+
+// pngquant quality from [min, max] or a "0.6-0.8" / "60-80" string
+function parseQualityRange(quality) {
+  const range = (Array.isArray(quality) ? quality : String(quality).split("-"))
+    .map(Number)
+    .map(value => value > 1 ? value / 100 : value);
+
+  if (range.length !== 2 || range.some(value => !(value >= 0 && value <= 1)) || range[0] > range[1]) {
+    throw new Error(`Invalid PNG quality range "${quality}" (use min-max between 0 and 1, e.g. 0.6-0.8)`);
+  }
+  return range;
+}
+
+function resolvePngSettings(pngSettings) {
+  const { quality = [0.7, 0.8], speed = 4, posterize = null, dithering = null } = pngSettings;
+  return {
+    quality: parseQualityRange(quality),
+    speed: Math.round(clampNumber(speed, 1, 11, 4)),
+    posterize: posterize === null ? null : Math.round(clampNumber(posterize, 0, 4, 0)), // Bits of precision dropped
+    dithering: dithering === null || dithering === false ? dithering : clampNumber(dithering, 0, 1, 1) // Floyd-Steinberg strength
+  };
+}
+
+// Everything that changes a frame's optimized bytes; part of the frame cache key
+function getFrameSettingsKey(settings) {
+  const uses = (format) => settings.outputFormats.includes(format);
+
+  return JSON.stringify({
+    version: 1,
+    format: settings.outputFormat,
+    outputFormats: settings.outputFormats,
+    minSsim: settings.outputFormat === "auto" ? settings.minSsim : null,
+    scale: settings.scale,
+    targetWidth: settings.targetWidth,
+    targetHeight: settings.targetHeight,
+    kernel: settings.kernel,
+    cropRegion: settings.cropRegion,
+    key: settings.key,
+    webpSettings: uses("webp") ? settings.webpSettings : null,
+    pngSettings: uses("png") && !settings.palette ? settings.pngSettings : null,
+    palette: uses("png") ? settings.palette : null,
+    jpegSettings: uses("jpeg") ? settings.jpegSettings : null
+  });
+}
+
+// Resize and compress a single frame (a file in inputDir, or raw RGBA pixels
+// streamed from a video) into the output directory.
+// Everything stays in memory until the final write, so concurrent frames never
+// share temp files.
+async function optimizeFrame(file, settings, encoders, rawFrame = null) {
+  const baseName = path.parse(file).name;
+  const image = await renderFrame(file, settings, rawFrame);
+
+  let format = settings.outputFormat;
+  let outputBuffer;
+  let ssim;
+
+  if (format === "auto") {
+    ({ format, buffer: outputBuffer, ssim } = await chooseFrameFormat(image, settings, encoders));
+  } else {
+    outputBuffer = await encodeFrame(image, format, settings, encoders);
+  }
+
+  const fileName = baseName + formats[format].extension;
+  fs.writeFileSync(path.join(settings.outputDir, fileName), outputBuffer);
+
+  return { file: fileName, bytes: outputBuffer.length, format, ...(ssim !== undefined && { ssim }) };
+}
+
+// Crop, key and resize a frame; returns the Sharp pipeline, ready to encode
+async function renderFrame(file, settings, rawFrame = null) {
+  let image = rawFrame ?
+    sharp(rawFrame.data, { raw: { width: rawFrame.width, height: rawFrame.height, channels: 4 } }) :
+    sharp(path.join(settings.inputDir, file));
+  let { width } = await image.metadata();
+
+  // Crop in source pixels first, so the crop is independent of the output scale
+  if (settings.cropRegion) {
+    image.extract(settings.cropRegion);
+    width = settings.cropRegion.width;
+  }
+
+  // Key out the background at source resolution, so resizing smooths the edges
+  if (settings.key) {
+    const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    applyKey(data, info.width, info.height, settings.key);
+    image = sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } });
+  }
+
+  // Resize with Sharp to the target size (cropping to fill when both sides are
+  // given) or by the scale factor (33% by default)
+  if (settings.targetWidth || settings.targetHeight) {
+    image.resize({ width: settings.targetWidth, height: settings.targetHeight, fit: "cover", kernel: settings.kernel });
+  } else {
+    image.resize({ width: Math.max(1, Math.round(width * settings.scale)), kernel: settings.kernel });
+  }
+
+  return image;
+}
+
+// Compress a resized frame with one codec
+async function encodeFrame(image, format, settings, { imagemin, imageminPngquant }) {
+  if (format === "webp") {
+    const webpOptions = {
+      lossless: settings.webpSettings.lossless,
+      effort: settings.webpSettings.effort,
+      nearLossless: settings.webpSettings.nearLossless
+    };
+
+    // Only add quality for lossy WebP
+    if (!settings.webpSettings.lossless) {
+      webpOptions.quality = settings.webpSettings.quality;
+    }
+
+    // For WebP, Sharp already optimizes it
+    return image.webp(webpOptions).toBuffer();
+  }
+
+  if (format === "jpeg") {
+    // JPEG has no alpha channel
+    return image
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: settings.jpegSettings.quality, mozjpeg: settings.jpegSettings.mozjpeg })
+      .toBuffer();
+  }
+
+  if (settings.palette) {
+    // Global palette: snap every pixel to the shared colours; an 8-bit indexed PNG
+    // then stores them exactly (at most 256 colours, so nothing is re-quantized)
+    const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    remapToPalette(data, settings.palette);
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } })
+      .png({ palette: true, colours: 256, dither: 0, effort: 10 })
+      .toBuffer();
+  }
+
+  // For PNG, use imagemin compression with custom settings
+  const pngquantOptions = {
+    quality: settings.pngSettings.quality,
+    speed: settings.pngSettings.speed
+  };
+
+  // Add posterize and dithering options if specified
+  if (settings.pngSettings.posterize !== null) {
+    pngquantOptions.posterize = settings.pngSettings.posterize;
+  }
+  if (settings.pngSettings.dithering !== null) {
+    pngquantOptions.dithering = settings.pngSettings.dithering;
+  }
+
+  return imagemin.buffer(await image.png().toBuffer(), {
+    plugins: [imageminPngquant(pngquantOptions)]
+  });
+}
+
+// Auto format: encode the frame with every allowed codec (JPEG only when no pixel
+// is transparent) and keep the smallest result whose SSIM against the uncompressed
+// frame meets minSsim. When none does, the most faithful one wins.
+async function chooseFrameFormat(image, settings, encoders) {
+  const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: 4 };
+  const transparent = hasTransparency(data);
+  let best = null;
+
+  for (const format of settings.outputFormats) {
+    if (transparent && !formats[format].alpha) continue;
+
+    const buffer = await encodeFrame(sharp(data, { raw }), format, settings, encoders);
+    const decoded = await sharp(buffer).ensureAlpha().raw().toBuffer();
+    const ssim = Math.round(computeSsim(data, decoded, info.width, info.height) * 10000) / 10000;
+    const candidate = { format, buffer, ssim, passes: ssim >= settings.minSsim };
+
+    const isBetter = !best ||
+      (candidate.passes && !best.passes) ||
+      (candidate.passes && best.passes && buffer.length < best.buffer.length) ||
+      (!candidate.passes && !best.passes && ssim > best.ssim);
+    if (isBetter) best = candidate;
+  }
+
+  return best;
+}
+
+// Repeat each frame for as many frameRate ticks as its delay (ms) lasts, so
+// variable-delay animations play back on a constant-rate timeline
+function expandFrameDelays(files, delays, frameRate) {
+  const timeline = [];
+  let elapsed = 0;
+
+  files.forEach((file, index) => {
+    const start = Math.round((elapsed / 1000) * frameRate);
+    elapsed += delays[index];
+    const end = Math.max(start + 1, Math.round((elapsed / 1000) * frameRate));
+
+    for (let tick = start; tick < end; tick++) {
+      timeline.push(file);
+    }
+  });
+
+  return timeline;
+}
+
+// Map a constant-rate timeline onto Lottie frames by timestamp. Returns the
+// frames that stay on screen for at least one Lottie frame, each with its
+// start (ip) and duration in Lottie frames, and the total Lottie frame count.
+function selectFramesByTime(files, sourceFrameRate, lottieFrameRate) {
+  const toLottieFrame = (sourceIndex) => Math.round((sourceIndex / sourceFrameRate) * lottieFrameRate);
+  const totalFrames = Math.max(1, toLottieFrame(files.length));
   const selectedFrames = [];
 
-  // Select frames to include based on frame skip ratio
-  for (let i = 0; i < files.length; i += frameSkipRatio) {
-    const frameIndex = Math.floor(i);
-    if (frameIndex < files.length) {
-      selectedFrames.push({
-        originalIndex: frameIndex,
-        file: files[frameIndex],
-        lottieIndex: selectedFrames.length
-      });
+  files.forEach((file, index) => {
+    const start = toLottieFrame(index);
+    const end = index === files.length - 1 ? totalFrames : Math.min(totalFrames, toLottieFrame(index + 1));
+    if (end <= start) return; // Shorter than half a Lottie frame
+
+    // A repeated file (held GIF frame, filled gap) just extends the previous layer
+    const previous = selectedFrames[selectedFrames.length - 1];
+    if (previous && previous.file === file && previous.start + previous.duration === start) {
+      previous.duration += end - start;
+      return;
+    }
+
+    selectedFrames.push({ originalIndex: index, file, start, duration: end - start });
+  });
+
+  return { selectedFrames, totalFrames };
+}
+
+// Mean absolute difference between two raw RGBA buffers, in percent (0 = identical)
+function getFrameDifference(pixelsA, pixelsB) {
+  if (pixelsA.length !== pixelsB.length) return Infinity;
+
+  let totalDifference = 0;
+  for (let i = 0; i < pixelsA.length; i++) {
+    totalDifference += Math.abs(pixelsA[i] - pixelsB[i]);
+  }
+
+  return (totalDifference / (pixelsA.length * 255)) * 100;
+}
+
+// Decode an optimized frame to raw RGBA pixels
+function readFramePixels(imagePath) {
+  return sharp(imagePath).ensureAlpha().raw().toBuffer();
+}
+
+// Group consecutive frames that match the current held frame within the threshold
+// so they can share a single asset and layer
+async function collapseDuplicateFrames(selectedFrames, readPixels, threshold) {
+  const heldFrames = [];
+  let heldPixels = null;
+
+  for (const frameData of selectedFrames) {
+    const pixels = await readPixels(frameData);
+    const currentHold = heldFrames[heldFrames.length - 1];
+
+    if (currentHold && getFrameDifference(heldPixels, pixels) <= threshold) {
+      currentHold.duration += frameData.duration;
+      continue;
+    }
+
+    heldFrames.push({ ...frameData });
+    heldPixels = pixels;
+  }
+
+  return heldFrames;
+}
+
+// Bounding box of pixels whose channels differ by more than the threshold (null = no change)
+function getChangedBounds(pixelsA, pixelsB, frameWidth, frameHeight, threshold) {
+  let minX = frameWidth, minY = frameHeight, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < frameHeight; y++) {
+    for (let x = 0; x < frameWidth; x++) {
+      const offset = (y * frameWidth + x) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        if (Math.abs(pixelsA[offset + channel] - pixelsB[offset + channel]) > threshold) {
+          minX = Math.min(minX, x);
+          minY = Math.min(minY, y);
+          maxX = Math.max(maxX, x);
+          maxY = Math.max(maxY, y);
+          break;
+        }
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { left: minX, top: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+// Whether any pixel inside the bounds is more transparent than before. Compositing
+// a patch can only add coverage, so such a frame needs a keyframe.
+function losesOpacity(pixelsA, pixelsB, frameWidth, bounds, threshold) {
+  for (let y = bounds.top; y < bounds.top + bounds.height; y++) {
+    for (let x = bounds.left; x < bounds.left + bounds.width; x++) {
+      const alpha = (y * frameWidth + x) * 4 + 3;
+      if (pixelsA[alpha] - pixelsB[alpha] > threshold) return true;
     }
   }
 
-  console.log(`🎯 Frame selection: ${files.length} original frames → ${selectedFrames.length} selected frames (${frameSkipRatio.toFixed(2)}x skip ratio)`);
+  return false;
+}
 
-  // Get original dimensions from first processed image
-  const firstOutputExt = global.outputFormat === "webp" ? ".webp" : ".png";
-  const firstOutputPath = path.join(global.outputDir, path.parse(files[0]).name + firstOutputExt);
-  const originalMetadata = await sharp(firstOutputPath).metadata();
+// Alpha-composite a raw RGBA patch over a copy of the canvas at the given bounds
+function compositePatch(canvas, frameWidth, patch, bounds) {
+  const result = Buffer.from(canvas);
 
-  // Apply cropping if specified
-  let croppedWidth = originalMetadata.width;
-  let croppedHeight = originalMetadata.height;
-  let cropOffsetX = 0;
-  let cropOffsetY = 0;
+  for (let y = 0; y < bounds.height; y++) {
+    for (let x = 0; x < bounds.width; x++) {
+      const src = (y * bounds.width + x) * 4;
+      const dst = ((bounds.top + y) * frameWidth + bounds.left + x) * 4;
+      const srcAlpha = patch[src + 3] / 255;
+      const dstAlpha = result[dst + 3] / 255;
+      const outAlpha = srcAlpha + dstAlpha * (1 - srcAlpha);
 
-  if (global.cropWidth || global.cropHeight) {
-    // Calculate crop dimensions
-    croppedWidth = global.cropWidth || originalMetadata.width;
-    croppedHeight = global.cropHeight || originalMetadata.height;
+      for (let channel = 0; channel < 3; channel++) {
+        result[dst + channel] = outAlpha === 0 ? 0 : Math.round(
+          (patch[src + channel] * srcAlpha + result[dst + channel] * dstAlpha * (1 - srcAlpha)) / outAlpha
+        );
+      }
+      result[dst + 3] = Math.round(outAlpha * 255);
+    }
+  }
 
-    // Ensure crop dimensions don't exceed original dimensions
-    croppedWidth = Math.min(croppedWidth, originalMetadata.width);
-    croppedHeight = Math.min(croppedHeight, originalMetadata.height);
+  return result;
+}
+
+// `u` of external frame images: the frames folder, relative to the animation
+// file written in its parent folder
+function getFramesAssetPath(settings) {
+  return `${path.basename(settings.outputDir)}/`;
+}
+
+// Per-channel difference below which two decoded (lossy) frames count as equal
+const decodedDeltaThreshold = 24;
 
-    // Calculate crop offset (center or top-left)
-    if (global.cropFromCenter) {
-      cropOffsetX = Math.floor((originalMetadata.width - croppedWidth) / 2);
-      cropOffsetY = Math.floor((originalMetadata.height - croppedHeight) / 2);
+// Build keyframe and patch layers for delta mode. Changed areas are found on the
+// frames before compression, so codec noise doesn't count as a change. Each patch
+// is composited over the running canvas and checked against the optimized frame;
+// frames that can't be reproduced within tolerance become keyframes instead.
+async function addDeltaFrames(lottieData, heldFrames, settings, options) {
+  const { encoders, hasSourceFiles, frameFiles, frameWidth, frameHeight, width, height, totalFrames } = options;
+  const scaleX = width / frameWidth;
+  const scaleY = height / frameHeight;
+
+  const stats = { keyframes: 0, patches: 0, averagePatchArea: 0, maxError: 0 };
+  const segments = []; // Layers grouped by keyframe, each visible until the next keyframe
+  let canvas = null;
+  let shownPixels = null; // Uncompressed pixels of the last frame added
+  let keyframeStart = 0;
+
+  const addAsset = (assetId, imageBuffer, fileName, assetWidth, assetHeight) => {
+    if (settings.selfContainedLottie) {
+      lottieData.assets.push({
+        id: assetId,
+        w: assetWidth,
+        h: assetHeight,
+        u: "", // Base path (empty for embedded)
+        p: `data:${getMimeType(fileName)};base64,${imageBuffer.toString('base64')}`, // Base64 data URI
+        e: 1 // Embedded (1 = embedded data)
+      });
     } else {
-      cropOffsetX = 0;
-      cropOffsetY = 0;
+      fs.writeFileSync(path.join(settings.outputDir, fileName), imageBuffer);
+      lottieData.assets.push({
+        id: assetId,
+        w: assetWidth,
+        h: assetHeight,
+        u: getFramesAssetPath(settings), // Folder of the image files, relative to the JSON
+        p: fileName, // File path
+        e: 0 // Embedded (0 = external file)
+      });
     }
+  };
+
+  for (const frameData of heldFrames) {
+    const frameFile = frameFiles.get(frameData.file);
+    const { name: baseName, ext: imageExt } = path.parse(frameFile);
+    const imagePath = path.join(settings.outputDir, frameFile);
+    const target = await readFramePixels(imagePath);
+    // Streamed video frames aren't kept, so theirs are compared and cut from the
+    // optimized frame, with the threshold raised above codec noise
+    const sourcePixels = hasSourceFiles ?
+      await (await renderFrame(frameData.file, settings)).ensureAlpha().raw().toBuffer() :
+      target;
+    const threshold = hasSourceFiles ? settings.deltaThreshold : Math.max(settings.deltaThreshold, decodedDeltaThreshold);
 
-    console.log(`✂️  Cropping: ${originalMetadata.width}×${originalMetadata.height} → ${croppedWidth}×${croppedHeight} (offset: ${cropOffsetX},${cropOffsetY})`);
+    let bounds = null;
+    let needsKeyframe = !canvas || frameData.start - keyframeStart >= settings.deltaKeyframeInterval;
+
+    if (!needsKeyframe) {
+      bounds = getChangedBounds(shownPixels, sourcePixels, frameWidth, frameHeight, threshold);
+      // Unchanged frame: the layers already on screen keep showing it
+      if (!bounds) continue;
+      needsKeyframe = (bounds.width * bounds.height) / (frameWidth * frameHeight) > settings.deltaMaxPatchArea ||
+        losesOpacity(shownPixels, sourcePixels, frameWidth, bounds, threshold);
+    }
+
+    if (!needsKeyframe) {
+      // Patches are encoded like the frames themselves, rather than re-encoding
+      // the optimized frame
+      const patchBuffer = await encodeFrame(
+        sharp(sourcePixels, { raw: { width: frameWidth, height: frameHeight, channels: 4 } }).extract(bounds),
+        getFormatFromFile(frameFile),
+        settings,
+        encoders
+      );
+      const patchPixels = await sharp(patchBuffer).ensureAlpha().raw().toBuffer();
+      const composited = compositePatch(canvas, frameWidth, patchPixels, bounds);
+      const error = getFrameDifference(composited, target);
+
+      if (error <= settings.deltaVerifyTolerance) {
+        const assetId = `image_${lottieData.assets.length}`;
+        addAsset(assetId, patchBuffer, `${baseName}_patch${imageExt}`, bounds.width * scaleX, bounds.height * scaleY);
+        segments[segments.length - 1].push({
+          frameData,
+          assetId,
+          isPatch: true,
+          position: [bounds.left * scaleX, bounds.top * scaleY, 0]
+        });
+
+        canvas = composited;
+        shownPixels = sourcePixels;
+        stats.patches++;
+        stats.averagePatchArea += (bounds.width * bounds.height) / (frameWidth * frameHeight) * 100;
+        stats.maxError = Math.max(stats.maxError, error);
+        continue;
+      }
+    }
+
+    // Full keyframe
+    const keyframeBuffer = fs.readFileSync(imagePath);
+    const keyframeFile = frameFile;
+    const assetId = `image_${lottieData.assets.length}`;
+
+    if (settings.selfContainedLottie) {
+      addAsset(assetId, keyframeBuffer, keyframeFile, width, height);
+    } else {
+      // External keyframes reference the optimized frame directly
+      lottieData.assets.push({ id: assetId, w: width, h: height, u: getFramesAssetPath(settings), p: keyframeFile, e: 0 });
+    }
+    segments.push([{ frameData, assetId, isPatch: false, position: [0, 0, 0] }]);
+
+    canvas = await sharp(keyframeBuffer).ensureAlpha().raw().toBuffer();
+    shownPixels = sourcePixels;
+    keyframeStart = frameData.start;
+    stats.keyframes++;
+  }
+
+  // Each layer stays visible until the next keyframe; later patches stack on top
+  const layers = [];
+  segments.forEach((segment, segmentIndex) => {
+    const segmentEnd = segmentIndex + 1 < segments.length ?
+      segments[segmentIndex + 1][0].frameData.start :
+      totalFrames;
+
+    for (const { frameData, assetId, isPatch, position } of segment) {
+      layers.push({
+        ddd: 0,
+        ty: 2, // Layer type (2 = image)
+        nm: `Frame ${frameData.originalIndex + 1}${isPatch ? " (patch)" : ""}`, // Layer name (original frame number)
+        refId: assetId, // Reference to asset
+        sr: 1, // Stretch ratio
+        ks: { // Transform properties
+          o: { a: 0, k: 100 }, // Opacity
+          r: { a: 0, k: 0 }, // Rotation
+          p: { a: 0, k: position }, // Position (patch top-left in composition space)
+          a: { a: 0, k: [0, 0, 0] }, // Anchor point (asset top-left)
+          s: { a: 0, k: [100, 100, 100] } // Scale
+        },
+        ao: 0, // Auto-orient
+        ip: frameData.start, // In point (when this frame starts)
+        op: segmentEnd, // Out point (next keyframe)
+        st: 0, // Start time
+        bm: 0 // Blend mode
+      });
+    }
+  });
+
+  // Lottie draws the first layer on top, so the newest patch goes first
+  layers.reverse().forEach((layer, layerIndex) => {
+    lottieData.layers.push({ ddd: 0, ind: layerIndex + 1, ...layer }); // Layer index (1-based)
+  });
+
+  if (stats.patches > 0) {
+    stats.averagePatchArea /= stats.patches;
   }
+
+  return stats;
+}
+
+// `frameFiles` maps each source frame to its optimized file in outputDir (the
+// format, and so the extension, can differ per frame). encoders and
+// hasSourceFiles (source frames still in inputDir) are for delta patches.
+async function createLottieAnimation(files, frameFiles, settings, reporter, { encoders, hasSourceFiles }) {
+  reporter.log("🎬 Creating Lottie animation...");
   
+  // Resample by timestamp: each source frame is on screen from i/sourceFps to
+  // (i+1)/sourceFps, rounded to whole Lottie frames. Frames shorter than half a
+  // Lottie frame drop out; held or repeated frames become one longer layer.
+  const { selectedFrames, totalFrames } = selectFramesByTime(files, settings.originalFrameRate, settings.lottieFrameRate);
+  const frameRateRatio = settings.originalFrameRate / settings.lottieFrameRate;
+
+  reporter.log(`🎯 Frame selection: ${files.length} original frames → ${selectedFrames.length} selected frames over ${totalFrames} Lottie frames (${frameRateRatio.toFixed(2)}x rate ratio)`);
+
+  // Frame dimensions from the first processed image (already cropped and resized)
+  const firstOutputPath = path.join(settings.outputDir, frameFiles.get(files[0]));
+  const { width: frameWidth, height: frameHeight } = await sharp(firstOutputPath).metadata();
+
   // Calculate final Lottie dimensions
   let width, height;
 
-  if (global.lottieWidth && global.lottieHeight) {
+  if (settings.lottieWidth && settings.lottieHeight) {
     // Both dimensions specified
-    width = global.lottieWidth;
-    height = global.lottieHeight;
-  } else if (global.lottieWidth && !global.lottieHeight) {
+    width = settings.lottieWidth;
+    height = settings.lottieHeight;
+  } else if (settings.lottieWidth && !settings.lottieHeight) {
     // Only width specified, calculate height maintaining aspect ratio
-    width = global.lottieWidth;
-    height = global.maintainAspectRatio ?
-      Math.round((global.lottieWidth / croppedWidth) * croppedHeight) :
-      croppedHeight;
-  } else if (!global.lottieWidth && global.lottieHeight) {
+    width = settings.lottieWidth;
+    height = settings.maintainAspectRatio ?
+      Math.round((settings.lottieWidth / frameWidth) * frameHeight) :
+      frameHeight;
+  } else if (!settings.lottieWidth && settings.lottieHeight) {
     // Only height specified, calculate width maintaining aspect ratio
-    height = global.lottieHeight;
-    width = global.maintainAspectRatio ?
-      Math.round((global.lottieHeight / croppedHeight) * croppedWidth) :
-      croppedWidth;
+    height = settings.lottieHeight;
+    width = settings.maintainAspectRatio ?
+      Math.round((settings.lottieHeight / frameHeight) * frameWidth) :
+      frameWidth;
   } else {
-    // Use cropped image dimensions
-    width = croppedWidth;
-    height = croppedHeight;
+    // Use optimized image dimensions (in @1x units for density variants)
+    width = Math.round(frameWidth / settings.density);
+    height = Math.round(frameHeight / settings.density);
   }
 
-  // Calculate duration based on ORIGINAL frame count and frame rate to maintain speed
-  const duration = (files.length / global.originalFrameRate) * 1000; // Duration in milliseconds
+  // Collapse identical or near-identical consecutive frames into held layers
+  let heldFrames = selectedFrames;
+
+  if (settings.dedupeFrames) {
+    heldFrames = await collapseDuplicateFrames(selectedFrames, (frameData) => {
+      return readFramePixels(path.join(settings.outputDir, frameFiles.get(frameData.file)));
+    }, settings.dedupeThreshold);
+  }
+
+  const dedupedCount = selectedFrames.length - heldFrames.length;
+
+  // Duration of the source timeline; totalFrames matches it to within half a Lottie frame
+  const duration = (files.length / settings.originalFrameRate) * 1000; // Duration in milliseconds
 
   // Create Lottie JSON structure
   const lottieData = {
     v: "5.7.4", // Lottie version
-    fr: global.lottieFrameRate, // Frame rate
+    fr: settings.lottieFrameRate, // Frame rate
     ip: 0, // In point (start frame)
-    op: selectedFrames.length, // Out point (end frame)
+    op: totalFrames, // Out point (end frame)
     w: width, // Width
     h: height, // Height
     nm: "Frame Animation", // Name
@@ -358,163 +1693,252 @@ async function createLottieAnimation(files) {
     layers: [] // Animation layers
   };
 
-  // Add each selected image as an asset
-  for (const frameData of selectedFrames) {
-    const baseName = path.parse(frameData.file).name;
-    const assetId = `image_${frameData.lottieIndex}`;
-    const imageExt = global.outputFormat === "webp" ? ".webp" : ".png";
-    const imagePath = path.join(global.outputDir, `${baseName}${imageExt}`);
-
-    if (global.selfContainedLottie) {
-      // Read and process image with cropping if needed
-      let imageBuffer;
-      if (global.cropWidth || global.cropHeight) {
-        // Apply crop using Sharp
-        imageBuffer = await sharp(imagePath)
-          .extract({
-            left: cropOffsetX,
-            top: cropOffsetY,
-            width: croppedWidth,
-            height: croppedHeight
-          })
-          .toBuffer();
-      } else {
-        // No cropping, read original
-        imageBuffer = fs.readFileSync(imagePath);
-      }
+  let deltaStats = null;
 
-      const base64Data = imageBuffer.toString('base64');
-      const mimeType = global.outputFormat === "webp" ? "image/webp" : "image/png";
-      const dataUri = `data:${mimeType};base64,${base64Data}`;
+  if (settings.deltaEncoding) {
+    // Delta mode: periodic full keyframes plus cropped patches of the changed area
+    deltaStats = await addDeltaFrames(lottieData, heldFrames, settings, {
+      encoders,
+      hasSourceFiles,
+      frameFiles,
+      frameWidth,
+      frameHeight,
+      width,
+      height,
+      totalFrames
+    });
+  } else {
+    // Add each unique image as an asset
+    for (const [assetIndex, frameData] of heldFrames.entries()) {
+      const frameFile = frameFiles.get(frameData.file);
+      const assetId = `image_${assetIndex}`;
+      const imagePath = path.join(settings.outputDir, frameFile);
+
+      if (settings.selfContainedLottie) {
+        const base64Data = fs.readFileSync(imagePath).toString('base64');
+        const mimeType = getMimeType(frameFile);
+        const dataUri = `data:${mimeType};base64,${base64Data}`;
       
-      // Add embedded asset to array
-      lottieData.assets.push({
-        id: assetId,
-        w: width,
-        h: height,
-        u: "", // Base path (empty for embedded)
-        p: dataUri, // Base64 data URI
-        e: 1 // Embedded (1 = embedded data)
-      });
-    } else {
-      // For external files, we need to create cropped versions
-      if (global.cropWidth || global.cropHeight) {
-        // Create cropped version for external files
-        const croppedImagePath = path.join(global.outputDir, `${baseName}_cropped${imageExt}`);
-        await sharp(imagePath)
-          .extract({
-            left: cropOffsetX,
-            top: cropOffsetY,
-            width: croppedWidth,
-            height: croppedHeight
-          })
-          .toFile(croppedImagePath);
-
-        // Add external file reference to cropped version
+        // Add embedded asset to array
         lottieData.assets.push({
           id: assetId,
           w: width,
           h: height,
-          u: "", // Base path (empty since files are in same directory)
-          p: `${baseName}_cropped${imageExt}`, // File path
-          e: 0 // Embedded (0 = external file)
+          u: "", // Base path (empty for embedded)
+          p: dataUri, // Base64 data URI
+          e: 1 // Embedded (1 = embedded data)
         });
       } else {
-        // No cropping needed, use original
         lottieData.assets.push({
           id: assetId,
           w: width,
           h: height,
-          u: "", // Base path (empty since files are in same directory)
-          p: `${baseName}${imageExt}`, // File path
+          u: getFramesAssetPath(settings), // Folder of the image files, relative to the JSON
+          p: frameFile, // File path
           e: 0 // Embedded (0 = external file)
         });
       }
     }
-  }
 
-  // Create a layer for each selected frame (frame-by-frame animation)
-  selectedFrames.forEach((frameData, lottieIndex) => {
-    const baseName = path.parse(frameData.file).name;
-    const assetId = `image_${lottieIndex}`;
+    // Create a layer for each unique frame, held for as long as it repeats
+    heldFrames.forEach((frameData, assetIndex) => {
+      const assetId = `image_${assetIndex}`;
     
-    const imageLayer = {
-      ddd: 0,
-      ind: lottieIndex + 1, // Layer index (1-based)
-      ty: 2, // Layer type (2 = image)
-      nm: `Frame ${frameData.originalIndex + 1}`, // Layer name (original frame number)
-      refId: assetId, // Reference to asset
-      sr: 1, // Stretch ratio
-      ks: { // Transform properties
-        o: { a: 0, k: 100 }, // Opacity
-        r: { a: 0, k: 0 }, // Rotation
-        p: { a: 0, k: [width/2, height/2, 0] }, // Position (centered)
-        a: { a: 0, k: [width/2, height/2, 0] }, // Anchor point
-        s: { a: 0, k: [100, 100, 100] } // Scale
-      },
-      ao: 0, // Auto-orient
-      ip: lottieIndex, // In point (when this frame starts)
-      op: lottieIndex + 1, // Out point (when this frame ends)
-      st: 0, // Start time
-      bm: 0 // Blend mode
-    };
+      const imageLayer = {
+        ddd: 0,
+        ind: assetIndex + 1, // Layer index (1-based)
+        ty: 2, // Layer type (2 = image)
+        nm: `Frame ${frameData.originalIndex + 1}`, // Layer name (original frame number)
+        refId: assetId, // Reference to asset
+        sr: 1, // Stretch ratio
+        ks: { // Transform properties
+          o: { a: 0, k: 100 }, // Opacity
+          r: { a: 0, k: 0 }, // Rotation
+          p: { a: 0, k: [width/2, height/2, 0] }, // Position (centered)
+          a: { a: 0, k: [width/2, height/2, 0] }, // Anchor point
+          s: { a: 0, k: [100, 100, 100] } // Scale
+        },
+        ao: 0, // Auto-orient
+        ip: frameData.start, // In point (when this frame starts)
+        op: frameData.start + frameData.duration, // Out point (when this frame ends)
+        st: 0, // Start time
+        bm: 0 // Blend mode
+      };
     
-    lottieData.layers.push(imageLayer);
+      lottieData.layers.push(imageLayer);
+    });
+  }
+
+  // Timeline edits: trim the in/out points, then ping-pong, then mark named
+  // segments on the final timeline
+  let frameSelection = selectedFrames;
+  let shownFrames = heldFrames;
+  let pingPongFrames = 0;
+  let segments = [];
+  const inPoint = parseFramePosition(settings.inPoint, settings.lottieFrameRate, "in point");
+  const outPoint = parseFramePosition(settings.outPoint, settings.lottieFrameRate, "out point");
+
+  if (inPoint !== null || outPoint !== null) {
+    const start = inPoint ?? 0;
+    const end = outPoint ?? totalFrames;
+    trimLottie(lottieData, start, end);
+    frameSelection = trimFrames(frameSelection, start, end);
+    shownFrames = trimFrames(shownFrames, start, end);
+    reporter.log(`✂️  Trimmed to Lottie frames ${start}-${end} of ${totalFrames} (${lottieData.assets.length} assets kept)`);
+  }
+
+  if (settings.pingPong) {
+    const forwardLayers = lottieData.layers.length;
+    const pingPong = addPingPong(lottieData, frameSelection);
+    frameSelection = pingPong.items;
+    pingPongFrames = pingPong.addedFrames;
+    reporter.log(`🏓 Ping-pong: +${pingPongFrames} backward frames as ${lottieData.layers.length - forwardLayers} layers reusing the existing assets`);
+  }
+
+  if (settings.segments.length > 0) {
+    segments = addMarkers(lottieData, settings.segments, settings.lottieFrameRate);
+    reporter.log(`🏷️  Segments: ${segments.map(segment => `${segment.name} ${segment.start}-${segment.end}`).join(", ")}`);
+  }
+
+  const outputFrames = lottieData.op - lottieData.ip;
+  const isEdited = outputFrames !== totalFrames;
+
+  // Write Lottie JSON file or .lottie package (in parent output directory)
+  const { lottieFile, fileSize, published, manifestFile } = writeLottieFile(lottieData, {
+    outputDir: path.dirname(settings.outputDir),
+    settings
   });
+
+  const fileSizeKB = Math.round(fileSize / 1024);
+  const containedType = settings.dotLottie ? "dotLottie package" :
+                        settings.selfContainedLottie ? "self-contained" : "external files";
   
-  // Write Lottie JSON file (in parent output directory)
-  const lottieFile = path.join(path.dirname(global.outputDir), "animation.json");
-  const jsonString = JSON.stringify(lottieData, null, 2);
-  fs.writeFileSync(lottieFile, jsonString);
-  
-  const fileSizeKB = Math.round(jsonString.length / 1024);
-  const containedType = global.selfContainedLottie ? "self-contained" : "external files";
-  
-  console.log(`🎬 Lottie animation created: ${lottieFile}`);
-  console.log(`📊 Animation specs: ${width}x${height}, ${selectedFrames.length} frames, ${global.lottieFrameRate}fps, ${(duration/1000).toFixed(1)}s duration`);
-  console.log(`⚡ Speed maintained: Original ${global.originalFrameRate}fps → ${global.lottieFrameRate}fps (${frameSkipRatio.toFixed(2)}x frame skip)`);
+  reporter.log(`🎬 Lottie animation created: ${lottieFile}`);
+  reporter.log(`📊 Animation specs: ${width}x${height}, ${outputFrames} frames, ${settings.lottieFrameRate}fps, ${(isEdited ? outputFrames / settings.lottieFrameRate : duration / 1000).toFixed(1)}s duration`);
+  reporter.log(`⚡ Speed maintained: Original ${settings.originalFrameRate}fps → ${settings.lottieFrameRate}fps (timestamp resampling, ${(totalFrames / settings.lottieFrameRate).toFixed(2)}s in Lottie)`);
+
+  if (deltaStats) {
+    reporter.log(`🧩 Delta encoding: ${deltaStats.keyframes} keyframes + ${deltaStats.patches} patches (avg patch ${deltaStats.averagePatchArea.toFixed(1)}% of frame)`);
+    reporter.log(`🔍 Patch composite check: max difference ${deltaStats.maxError.toFixed(2)}% (tolerance ${settings.deltaVerifyTolerance}%)`);
+  }
+
+  if (settings.dedupeFrames) {
+    reporter.log(`🔁 Deduplicated: ${dedupedCount} repeated frames collapsed → ${heldFrames.length} unique images`);
+  }
 
   // Show dimension source
-  if (global.lottieWidth || global.lottieHeight) {
-    const customDims = global.lottieWidth && global.lottieHeight ? "custom w×h" :
-                      global.lottieWidth ? "custom width" : "custom height";
-    const cropInfo = (global.cropWidth || global.cropHeight) ? ` (cropped from ${originalMetadata.width}×${originalMetadata.height})` : "";
-    console.log(`📐 Dimensions: ${customDims}${cropInfo}`);
-  } else if (global.cropWidth || global.cropHeight) {
-    console.log(`📐 Dimensions: using cropped size (${originalMetadata.width}×${originalMetadata.height} → ${croppedWidth}×${croppedHeight})`);
+  if (settings.lottieWidth || settings.lottieHeight) {
+    const customDims = settings.lottieWidth && settings.lottieHeight ? "custom w×h" :
+                      settings.lottieWidth ? "custom width" : "custom height";
+    reporter.log(`📐 Dimensions: ${customDims} (frames ${frameWidth}×${frameHeight})`);
+  } else if (settings.cropRegion) {
+    reporter.log(`📐 Dimensions: using cropped size (${settings.cropRegion.width}×${settings.cropRegion.height} source → ${frameWidth}×${frameHeight})`);
   } else {
-    console.log(`📐 Dimensions: using optimized image size`);
+    reporter.log(`📐 Dimensions: using optimized image size`);
   }
 
-  console.log(`📦 File type: ${containedType}, Size: ${fileSizeKB}KB`);
+  reporter.log(`📦 File type: ${containedType}, Size: ${fileSizeKB}KB`);
 
-  if (global.selfContainedLottie) {
-    console.log(`✨ Self-contained: All images embedded as base64 - single file deployment!`);
+  if (settings.dotLottie) {
+    reporter.log(`🗜️  dotLottie: Images stored as binary files in one .lottie archive (loop: ${settings.lottieLoop}, autoplay: ${settings.lottieAutoplay})`);
+  } else if (settings.selfContainedLottie) {
+    reporter.log(`✨ Self-contained: All images embedded as base64 - single file deployment!`);
+  } else if (published) {
+    const { layout, baseUrl, hashNames } = settings.assetPublishing;
+    reporter.log(`🔗 External (${layout} layout): ${published.files.length} image files in ${published.imagesDir}${hashNames ? ", content-hashed names" : ""}${baseUrl ? `, loaded from ${baseUrl}` : ""}`);
+    reporter.log(`🧾 Assets manifest: ${manifestFile}`);
   } else {
-    console.log(`🔗 External: Requires ${selectedFrames.length} PNG files in same directory`);
+    reporter.log(`🔗 External: Requires ${lottieData.assets.length} image files in ${settings.outputDir}`);
   }
-}
 
-// Export the main function for CLI usage
-module.exports = { optimizeImages };
-
-// For backward compatibility, run with default config if called directly
-if (require.main === module) {
-  // Default configuration for backward compatibility
-  const defaultConfig = {
-    input: inputDir,
-    output: path.dirname(outputDir),
-    isVideo: false,
-    format: outputFormat,
-    lottieWidth: lottieWidth,
-    lottieHeight: lottieHeight,
-    cropWidth: cropWidth,
-    cropHeight: cropHeight,
-    cropFromCenter: cropFromCenter,
-    lottieFrameRate: lottieFrameRate,
-    originalFrameRate: originalFrameRate,
-    selfContainedLottie: selfContainedLottie
+  return {
+    outputFile: lottieFile,
+    size: fileSize,
+    width,
+    height,
+    duration: isEdited ? outputFrames / settings.lottieFrameRate : duration / 1000,
+    timeline: {
+      frames: outputFrames,
+      trimmed: inPoint !== null || outPoint !== null ? { start: inPoint ?? 0, end: outPoint ?? totalFrames, of: totalFrames } : null,
+      pingPongFrames
+    },
+    segments,
+    selectedFrames: selectedFrames.length,
+    uniqueFrames: heldFrames.length,
+    layerCount: lottieData.layers.length,
+    assetCount: lottieData.assets.length,
+    externalAssets: !settings.selfContainedLottie && !settings.dotLottie,
+    // Folder external image paths are relative to (images published to a base URL: by name)
+    assetsDir: published && settings.assetPublishing.baseUrl ? published.imagesDir : path.dirname(lottieFile),
+    assetsSize: published ? published.size : null, // Published images only (null: all frames count)
+    assetsManifestFile: manifestFile,
+    lottieData,
+    frameSelection,
+    heldFrames: shownFrames
   };
+}
+
+// Start the conversion server (see lib/server.js): uploads are optimized in a job
+// queue, `jobs` at a time, and each job's files are removed `retention` (e.g.
+// "1h") after it finishes. Without workDir a temp folder is used and removed on
+// close. Resolves with { url, server, close }.
+async function startServer(config = {}) {
+  const {
+    port = 3210,
+    host = "127.0.0.1",
+    jobs = 1,
+    retention = "1h",
+    workDir = null,
+    maxUploadSize = "500mb",
+    baseConfig = {},
+    preset = null,
+    cors = false
+  } = config;
+  const reporter = createReporter(config);
+
+  const jobCount = parseInt(jobs, 10);
+  if (!(jobCount >= 1)) {
+    throw new Error(`Invalid job count: ${jobs} (use 1 or more)`);
+  }
+  const retentionMs = parseDuration(retention);
+  const uploadLimit = parseSize(maxUploadSize);
+
+  const ownedWorkDir = workDir ? null : fs.mkdtempSync(path.join(os.tmpdir(), "camelottie-serve-"));
+  const jobsDir = workDir ? path.resolve(workDir) : ownedWorkDir;
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  const conversionServer = createConversionServer({
+    workDir: jobsDir,
+    optimize: optimizeImages,
+    jobs: jobCount,
+    retention: retentionMs,
+    maxUploadSize: uploadLimit,
+    baseConfig,
+    preset,
+    cors,
+    reporter
+  });
 
-  optimizeImages(defaultConfig).catch(console.error);
+  let url;
+  try {
+    ({ url } = await conversionServer.listen(port, host));
+  } catch (error) {
+    if (ownedWorkDir) fs.rmSync(ownedWorkDir, { recursive: true, force: true });
+    throw new Error(`Could not listen on ${host}:${port}: ${error.message}`);
+  }
+
+  reporter.log(`🌐 Conversion server listening on ${url} (${jobCount} ${jobCount === 1 ? "job" : "jobs"} at a time, uploads up to ${formatSize(uploadLimit)})`);
+  reporter.log(`📂 Work folder: ${jobsDir} (finished jobs kept for ${retention})`);
+
+  return {
+    url,
+    server: conversionServer.server,
+    close: async () => {
+      await conversionServer.close();
+      if (ownedWorkDir) fs.rmSync(ownedWorkDir, { recursive: true, force: true });
+    }
+  };
 }
+
+// Export the main function for CLI usage
+module.exports = { optimizeImages, optimizeBatch, composeAnimation, startServer, previewKey, extractAnimation, inspectAnimation, validateAnimation };
@@ -3,48 +3,247 @@
 const { Command } = require('commander');
 const path = require('path');
 const fs = require('fs');
+const { detectInputType } = require('./lib/input');
+const { formatSize } = require('./lib/budget');
+const { watchInput } = require('./lib/watch');
+const { gravities } = require('./lib/crop');
+const { playerFormats } = require('./lib/formats');
+const { inspectAnimation, validateAnimation } = require('./lib/inspect');
+const { findConfigFile, loadConfigFile, resolveConfig, writeConfigTemplate, configFileNames } = require('./lib/config');
 
 const program = new Command();
 
+// Commander passes the previous/default value as the second argument, so parseInt needs an explicit radix
+const parseInteger = (value) => parseInt(value, 10);
+
+// CLI option name → optimizeImages config key, with an optional value transform
+const optimizeOptionMap = {
+  format: 'format',
+  autoFormats: 'autoFormats',
+  players: 'players',
+  minSsim: 'minSsim',
+  scale: 'scale',
+  targetWidth: 'targetWidth',
+  targetHeight: 'targetHeight',
+  kernel: 'kernel',
+  densities: 'densities',
+  width: 'lottieWidth',
+  height: 'lottieHeight',
+  cropWidth: 'cropWidth',
+  cropHeight: 'cropHeight',
+  cropCenter: 'cropFromCenter',
+  cropTopleft: ['cropFromCenter', (value) => !value],
+  cropX: 'cropX',
+  cropY: 'cropY',
+  cropGravity: 'cropGravity',
+  autoTrim: 'autoTrim',
+  trimPadding: 'autoTrimPadding',
+  trimThreshold: 'autoTrimThreshold',
+  fps: 'lottieFrameRate',
+  originalFps: 'originalFrameRate',
+  start: 'videoStart',
+  end: 'videoEnd',
+  duration: 'videoDuration',
+  frameStep: 'frameStep',
+  stream: 'streamVideo',
+  chromaKey: 'chromaKey',
+  removeBackground: ['removeBackground', (value) => value === true ? 'auto' : value],
+  keyTolerance: 'keyTolerance',
+  keySoftness: 'keySoftness',
+  keySpill: 'keySpill',
+  pattern: 'framePattern',
+  firstFrame: 'firstFrame',
+  lastFrame: 'lastFrame',
+  fillGaps: 'fillGaps',
+  external: ['selfContainedLottie', (value) => !value],
+  dotlottie: 'dotLottie',
+  loop: 'loop',
+  autoplay: 'autoplay',
+  preview: 'preview',
+  contactSheet: 'contactSheet',
+  contactSheetColumns: 'contactSheetColumns',
+  outputName: 'outputName',
+  assetLayout: 'assetLayout',
+  assetBaseUrl: 'assetBaseUrl',
+  hashAssetNames: 'hashAssetNames',
+  inPoint: 'inPoint',
+  outPoint: 'outPoint',
+  pingPong: 'pingPong',
+  segment: 'segments',
+  segmentsFile: 'segmentsFile',
+  quality: 'webpQuality',
+  lossless: 'webpLossless',
+  nearLossless: 'webpNearLossless',
+  effort: 'webpEffort',
+  pngQuality: 'pngQuality',
+  pngSpeed: 'pngSpeed',
+  posterize: 'pngPosterize',
+  dithering: ['pngDithering', (value) => value === 'off' ? false : parseFloat(value)],
+  globalPalette: 'globalPalette',
+  paletteColors: 'paletteColors',
+  paletteSamples: 'paletteSampleFrames',
+  jpegQuality: 'jpegQuality',
+  concurrency: 'concurrency',
+  dedupe: 'dedupeFrames',
+  dedupeThreshold: 'dedupeThreshold',
+  delta: 'deltaEncoding',
+  keyframeInterval: 'deltaKeyframeInterval',
+  maxPatchArea: 'deltaMaxPatchArea',
+  deltaThreshold: 'deltaThreshold',
+  verifyTolerance: 'deltaVerifyTolerance',
+  maxSize: 'maxSize',
+  budgetPriority: 'budgetPriority',
+  cache: 'cache'
+};
+
+// Config values for the options actually given on the command line, so that
+// config files and presets are only overridden by flags the user typed
+function getExplicitOptions(command, optionMap) {
+  const options = command.opts();
+  const config = {};
+
+  for (const [optionName, target] of Object.entries(optionMap)) {
+    if (command.getOptionValueSource(optionName) !== 'cli') continue;
+
+    const [key, transform = (value) => value] = Array.isArray(target) ? target : [target];
+    config[key] = transform(options[optionName]);
+  }
+
+  return config;
+}
+
+// Load the project config file (explicit --config, or discovered from the working directory)
+function loadProjectConfig(options) {
+  if (options.config === false) return { configFile: null, fileConfig: {} };
+
+  const configFile = typeof options.config === 'string' ? path.resolve(options.config) : findConfigFile();
+  if (!configFile) return { configFile: null, fileConfig: {} };
+
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`Config file not found: ${configFile}`);
+  }
+
+  return { configFile, fileConfig: loadConfigFile(configFile) };
+}
+
 program
   .name('camelottie')
-  .description('Convert PNG sequences or MP4 videos to optimized Lottie animations')
+  .description('Convert image sequences, videos or animated images to optimized Lottie animations')
   .version('1.0.0');
 
 program
   .command('optimize')
-  .description('Optimize PNG sequence or MP4 video to Lottie animation')
-  .argument('<input>', 'Input: folder with PNG files or MP4 video file')
-  .argument('[output]', 'Output directory (default: ./output)', './output')
-  .option('-f, --format <format>', 'Output format: png or webp', 'png')
-  .option('-w, --width <width>', 'Lottie animation width (null = auto)', parseInt)
-  .option('-h, --height <height>', 'Lottie animation height (null = auto)', parseInt)
-  .option('--crop-width <width>', 'Crop width (null = no cropping)', parseInt)
-  .option('--crop-height <height>', 'Crop height (null = no cropping)', parseInt)
+  .description('Optimize an image sequence, video or animated image to Lottie animation')
+  .argument('[input]', 'Input: folder of PNG/JPEG/WebP frames, video (MP4, MOV, WebM, AVI), GIF, APNG or animated WebP (default: from config file)')
+  .argument('[output]', 'Output directory (default: from config file or ./output)')
+  .option('-c, --config <path>', `Config file (default: ${configFileNames.join(' or ')} in the working directory or its parents)`)
+  .option('--no-config', 'Ignore config files')
+  .option('-p, --preset <name>', 'Named preset from the config file or built-in (web-small, web-hd, mobile-hd, lossless)')
+  .option('-f, --format <format>', 'Output format: png, webp, jpeg or auto (smallest per frame above --min-ssim)', 'png')
+  .option('--auto-formats <list>', 'Auto format: codecs to try (default: png,webp,jpeg; JPEG only for opaque frames)')
+  .option('--players <list>', `Target players, limits the formats used: ${Object.keys(playerFormats).join(', ')}`)
+  .option('--min-ssim <ssim>', 'Auto format: quality floor as SSIM 0-1 against the uncompressed frame (default: 0.95)', parseFloat)
+  .option('-s, --scale <factor>', 'Frame resize factor (default: 0.33)', parseFloat)
+  .option('--target-width <px>', 'Exact frame width in pixels (overrides --scale)', parseInteger)
+  .option('--target-height <px>', 'Exact frame height in pixels (overrides --scale; with --target-width, crops to fill)', parseInteger)
+  .option('--kernel <kernel>', 'Resampling kernel: nearest, linear, cubic, mitchell, lanczos2, lanczos3 (default: lanczos3)')
+  .option('--densities <list>', 'Write one variant per density into output/@<n>x, e.g. 1,2,3', (value) => value.split(',').map(item => item.trim()))
+  .option('-w, --width <width>', 'Lottie animation width (null = auto)', parseInteger)
+  .option('-h, --height <height>', 'Lottie animation height (null = auto)', parseInteger)
+  .option('--crop-width <width>', 'Crop width in source pixels (null = no cropping)', parseInteger)
+  .option('--crop-height <height>', 'Crop height in source pixels (null = no cropping)', parseInteger)
+  .option('--crop-x <x>', 'Crop left offset in source pixels (overrides gravity)', parseInteger)
+  .option('--crop-y <y>', 'Crop top offset in source pixels (overrides gravity)', parseInteger)
+  .option('--crop-gravity <gravity>', `Crop placement: ${gravities.join(', ')} (default: center)`)
   .option('--crop-center', 'Crop from center (default: true)', true)
   .option('--crop-topleft', 'Crop from top-left instead of center')
-  .option('--fps <fps>', 'Target frame rate (default: 15)', parseInt, 15)
-  .option('--original-fps <fps>', 'Original frame rate (default: 30)', parseInt, 30)
+  .option('--auto-trim', 'Crop every frame to the union of their non-transparent pixels', false)
+  .option('--trim-padding <px>', 'Auto-trim: source pixels to keep around the content', parseInteger, 0)
+  .option('--trim-threshold <alpha>', 'Auto-trim: alpha 0-254 a pixel must exceed to count as content', parseInteger, 0)
+  .option('--fps <fps>', 'Target frame rate (default: 15)', parseInteger, 15)
+  .option('--original-fps <fps>', 'Source frame rate (default: from video metadata or frame delays, 30 for sequences)', parseFloat)
+  .option('--start <time>', 'Video: start time, in seconds or as a timestamp (e.g. 12.5 or 1:02.5)')
+  .option('--end <time>', 'Video: end time, in seconds or as a timestamp')
+  .option('--duration <time>', 'Video: length to convert from --start, in seconds or as a timestamp')
+  .option('--frame-step <n>', 'Video: keep every Nth frame (default: 1)', parseInteger)
+  .option('--stream', 'Video: pipe raw frames from FFmpeg into the optimizer instead of writing temp PNGs', false)
+  .option('--chroma-key <color>', 'Key out a green/blue screen: green, blue or a colour (#rrggbb)')
+  .option('--remove-background [color]', 'Make a solid background colour transparent (default: auto, from the frame border)')
+  .option('--key-tolerance <percent>', 'Keying: colour distance (%) that becomes fully transparent (default: 15 chroma, 4 background)', parseFloat)
+  .option('--key-softness <percent>', 'Keying: extra distance (%) over which edges fade in (default: 10 chroma, 4 background)', parseFloat)
+  .option('--key-spill <amount>', 'Chroma key: spill suppression 0-1 (default: 0.5)', parseFloat)
+  .option('--key-preview [at]', 'Only write key-preview.png for one frame (video: time in seconds, otherwise frame number)')
+  .option('--pattern <pattern>', 'Sequence file pattern, printf-style (e.g. shot_%04d.png)')
+  .option('--first-frame <number>', 'First frame number of the sequence to include', parseInteger)
+  .option('--last-frame <number>', 'Last frame number of the sequence to include', parseInteger)
+  .option('--fill-gaps', 'Hold the previous frame where sequence numbers are missing', false)
   .option('--external', 'Use external image files instead of embedded (default: embedded)', false)
-  .option('--quality <quality>', 'WebP quality 0-100 (default: 75)', parseInt, 75)
-  .action(async (input, output, options) => {
+  .option('--dotlottie', 'Write a .lottie package (manifest + binary images) instead of animation.json', false)
+  .option('--output-name <name>', 'Animation file name, without extension (default: animation)')
+  .option('--asset-layout <target>', 'External images in an images/ folder laid out for web, android or ios (implies --external)')
+  .option('--asset-base-url <url>', 'External images: absolute URL they are served from, e.g. a CDN folder (implies --external)')
+  .option('--hash-asset-names', 'External images: add a content hash to each file name (implies --external)', false)
+  .option('--no-loop', 'dotLottie: disable looping in the manifest')
+  .option('--no-autoplay', 'dotLottie: disable autoplay in the manifest')
+  .option('--preview', 'Also write preview.html: the animation beside its source frames, player bundled in', false)
+  .option('--contact-sheet', 'Also write contact-sheet.png: a grid of the frames the animation shows', false)
+  .option('--contact-sheet-columns <n>', 'Contact sheet columns (default: square grid, up to 8)', parseInteger)
+  .option('--in-point <frame>', 'Trim: first Lottie frame to keep, as a frame number or seconds (e.g. 15 or 0.5s)')
+  .option('--out-point <frame>', 'Trim: Lottie frame to end before, as a frame number or seconds')
+  .option('--ping-pong', 'Play forward then backward, reusing the forward frames\' images', false)
+  .option('--segment <name:start-end>', 'Named segment written as a Lottie marker, e.g. intro:0-30 or idle:1s-3s (repeatable)', (value, previous = []) => [...previous, value])
+  .option('--segments-file <path>', 'JSON file of named segments ({ "intro": [0, 30], ... })')
+  .option('--quality <quality>', 'WebP quality 0-100 (default: 75)', parseInteger, 75)
+  .option('--lossless', 'WebP: lossless compression', false)
+  .option('--near-lossless', 'WebP: near-lossless compression (--quality sets the preprocessing level)', false)
+  .option('--effort <0-6>', 'WebP: compression effort, higher = smaller but slower (default: 6)', parseInteger)
+  .option('--png-quality <min-max>', 'pngquant quality range 0-1 (default: 0.7-0.8)')
+  .option('--png-speed <1-11>', 'pngquant speed, higher = faster but larger (default: 4)', parseInteger)
+  .option('--posterize <bits>', 'pngquant: drop 0-4 bits of colour precision', parseInteger)
+  .option('--dithering <level>', 'pngquant: dithering strength 0-1, or off (default: 1)')
+  .option('--global-palette', 'PNG: one palette for all frames, sampled across the animation (no palette flicker)', false)
+  .option('--palette-colors <n>', 'Global palette: number of colours 2-256 (default: 256)', parseInteger)
+  .option('--palette-samples <n>', 'Global palette: frames sampled to build it (default: 16)', parseInteger)
+  .option('--jpeg-quality <quality>', 'JPEG quality 1-100 (default: 80)', parseInteger)
+  .option('--concurrency <count>', 'Frames to optimize in parallel (default: CPU count)', parseInteger)
+  .option('--no-dedupe', 'Keep repeated frames as separate layers instead of holding them')
+  .option('--dedupe-threshold <percent>', 'Max mean pixel difference (%) to treat frames as identical', parseFloat, 0)
+  .option('--delta', 'Delta mode: full keyframes plus cropped patches of the changed area', false)
+  .option('--keyframe-interval <frames>', 'Delta mode: insert a full keyframe every N frames', parseInteger, 30)
+  .option('--max-patch-area <ratio>', 'Delta mode: use a keyframe when the patch exceeds this fraction of the frame', parseFloat, 0.5)
+  .option('--delta-threshold <value>', 'Delta mode: per-channel difference 0-255 that counts as a change', parseInteger, 0)
+  .option('--verify-tolerance <percent>', 'Delta mode: max mean difference (%) between composited and source frames', parseFloat, 1)
+  .option('--max-size <size>', 'Size budget for the output (e.g. 250kb, 1.5mb): lowers quality, scale and fps until it fits')
+  .option('--budget-priority <order>', 'Order to trade off settings for --max-size (default: quality,scale,fps)', (value) => value.split(',').map(item => item.trim()))
+  .option('--watch', 'Watch the input and re-optimize only changed frames', false)
+  .option('--no-cache', 'Re-optimize every frame instead of reusing cached results')
+  .action(async (inputArg, outputArg, options, command) => {
     try {
+      // Settings precedence: CLI flags > preset > config file > built-in defaults
+      const { configFile, fileConfig } = loadProjectConfig(options);
+      const { config, preset } = resolveConfig(fileConfig, options.preset, getExplicitOptions(command, optimizeOptionMap));
+
+      const input = inputArg || config.input;
+      const output = outputArg || config.output || './output';
+
+      if (!input) {
+        console.error('❌ No input given. Pass an input path or set "input" in a config file (see `camelottie init`)');
+        process.exit(1);
+      }
+
       // Validate input
       if (!fs.existsSync(input)) {
         console.error(`❌ Input not found: ${input}`);
         process.exit(1);
       }
 
-      // Determine input type
-      const isVideo = input.toLowerCase().endsWith('.mp4') || input.toLowerCase().endsWith('.mov') || input.toLowerCase().endsWith('.avi');
+      // Determine input type from the file content
+      const inputInfo = detectInputType(input);
+      const needsExtraction = inputInfo.kind === 'video' || inputInfo.kind === 'animated';
 
-      if (isVideo && !fs.statSync(input).isFile()) {
-        console.error(`❌ Video file not found: ${input}`);
-        process.exit(1);
-      }
-
-      if (!isVideo && !fs.statSync(input).isDirectory()) {
-        console.error(`❌ Input directory not found: ${input}`);
+      if (!needsExtraction && inputInfo.kind !== 'sequence') {
+        console.error(`❌ Unsupported input: ${input} (${inputInfo.label})`);
+        console.error('   Use a folder of PNG/JPEG/WebP frames, a video (MP4, MOV, WebM, AVI), GIF, APNG or animated WebP');
         process.exit(1);
       }
 
@@ -53,54 +252,431 @@ program
         fs.mkdirSync(output, { recursive: true });
       }
 
-      // Create temp directory for video frames
+      // Create temp directory for extracted frames
       const tempDir = path.join(output, 'temp_frames');
-      if (isVideo && !fs.existsSync(tempDir)) {
+      if (needsExtraction && !fs.existsSync(tempDir)) {
         fs.mkdirSync(tempDir, { recursive: true });
       }
 
       // Import and run the optimizer
-      const { optimizeImages } = require('./Camelottie.js');
+      const { optimizeImages, previewKey } = require('./Camelottie.js');
 
       console.log(`🚀 Starting Camelottie optimization...`);
       console.log(`📁 Input: ${input}`);
       console.log(`📂 Output: ${output}`);
-      console.log(`🎬 Input type: ${isVideo ? 'Video file' : 'PNG sequence'}`);
-      console.log(`🎞️  Format: ${options.format}`);
-      console.log(`🎯 Target FPS: ${options.fps}`);
-      console.log(`⚡ Original FPS: ${options.originalFps}`);
-      if (options.width || options.height) {
-        console.log(`📐 Dimensions: ${options.width || 'auto'}×${options.height || 'auto'}`);
+      console.log(`🎬 Input type: ${inputInfo.label}`);
+      if (configFile) {
+        console.log(`⚙️  Config: ${configFile}`);
+      }
+      if (preset) {
+        console.log(`🎛️  Preset: ${preset}`);
+      }
+      console.log(`🎞️  Format: ${config.format || 'png'}${config.format === 'auto' && config.autoFormats ? ` (${[].concat(config.autoFormats).join(', ')})` : ''}`);
+      if (config.globalPalette) {
+        console.log(`🎨 Global palette: ${config.paletteColors || 256} colours`);
+      }
+      if (config.players) {
+        console.log(`📲 Players: ${[].concat(config.players).join(', ')}`);
+      }
+      console.log(`🎯 Target FPS: ${config.lottieFrameRate || 15}`);
+      console.log(`⚡ Original FPS: ${config.originalFrameRate || (inputInfo.kind === 'sequence' ? 30 : 'auto')}`);
+      if (inputInfo.kind === 'video' && (config.videoStart || config.videoEnd || config.videoDuration)) {
+        const until = config.videoEnd ? ` to ${config.videoEnd}` : config.videoDuration ? ` for ${config.videoDuration}` : ' to end';
+        console.log(`⏱️  Range: from ${config.videoStart || 0}${until}`);
+      }
+      if (inputInfo.kind === 'video' && config.streamVideo) {
+        console.log('🌊 Streaming frames from FFmpeg (no temp files)');
+      }
+      if (config.chromaKey || config.removeBackground) {
+        console.log(`🔑 ${config.chromaKey ? `Chroma key: ${config.chromaKey}` : `Background removal: ${config.removeBackground}`}`);
       }
-      if (options.cropWidth || options.cropHeight) {
-        console.log(`✂️  Cropping: ${options.cropWidth || 'auto'}×${options.cropHeight || 'auto'}`);
+      if (config.targetWidth || config.targetHeight) {
+        console.log(`📏 Frame size: ${config.targetWidth || 'auto'}×${config.targetHeight || 'auto'}px`);
+      } else if (config.scale) {
+        console.log(`📏 Scale: ${config.scale}`);
+      }
+      if (config.densities) {
+        console.log(`📱 Densities: ${[].concat(config.densities).map(density => `@${String(density).replace(/x$/i, '')}x`).join(', ')}`);
+      }
+      if (config.lottieWidth || config.lottieHeight) {
+        console.log(`📐 Dimensions: ${config.lottieWidth || 'auto'}×${config.lottieHeight || 'auto'}`);
+      }
+      if (config.autoTrim) {
+        console.log(`✂️  Cropping: auto-trim${config.autoTrimPadding ? ` (padding ${config.autoTrimPadding}px)` : ''}`);
+      } else if (config.cropWidth || config.cropHeight) {
+        const placement = config.cropX != null || config.cropY != null ?
+          `at ${config.cropX ?? 'auto'},${config.cropY ?? 'auto'}` :
+          config.cropGravity || (config.cropFromCenter === false ? 'northwest' : 'center');
+        console.log(`✂️  Cropping: ${config.cropWidth || 'full'}×${config.cropHeight || 'full'} source px (${placement})`);
       }
       console.log('');
 
-      await optimizeImages({
-        input: isVideo ? input : path.resolve(input),
-        output: path.resolve(output),
-        tempDir: isVideo ? tempDir : null,
-        isVideo,
-        format: options.format,
-        lottieWidth: options.width || null,
-        lottieHeight: options.height || null,
-        cropWidth: options.cropWidth || null,
-        cropHeight: options.cropHeight || null,
-        cropFromCenter: options.cropTopleft ? false : true,
-        lottieFrameRate: options.fps,
-        originalFrameRate: options.originalFps,
+      // Keep the in-place extraction counter on its own line when other output follows
+      let progressLineOpen = false;
+      const logger = {
+        log: (...args) => {
+          if (progressLineOpen) {
+            process.stdout.write('\n');
+            progressLineOpen = false;
+          }
+          console.log(...args);
+        }
+      };
+
+      // Remove extracted frames on success, failure or Ctrl+C
+      const removeTempDir = () => {
+        if (needsExtraction && fs.existsSync(tempDir)) {
+          fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+      };
+
+      // Tune keying on a single frame without a full run
+      if (options.keyPreview !== undefined) {
+        try {
+          await previewKey({
+            ...config,
+            input: path.resolve(input),
+            output: path.resolve(output),
+            previewAt: options.keyPreview === true ? null : options.keyPreview,
+            logger
+          });
+        } finally {
+          removeTempDir();
+        }
+        return;
+      }
+
+      process.once('SIGINT', () => {
+        removeTempDir();
+        process.exit(130);
+      });
+
+      const runOnce = async () => {
+        let result;
+
+        try {
+          result = await optimizeImages({
+            ...config,
+            input: path.resolve(input),
+            output: path.resolve(output),
+            tempDir: needsExtraction ? tempDir : null,
+            logger,
+            onProgress: (event) => {
+              if (event.stage === 'extracting' && event.frame) {
+                process.stdout.write(`\r📹 Extracted: ${event.frame} frames`);
+                progressLineOpen = true;
+              }
+            }
+          });
+        } finally {
+          removeTempDir();
+        }
+
+        // Density variants each carry their own output (and budget) details
+        for (const variant of result.variants || [result]) {
+          const prefix = variant.label ? `${variant.label}: ` : '';
+
+          if (variant.budget) {
+            const { parameters } = variant.budget;
+            const quality = [
+              parameters.webpQuality !== null && `WebP quality ${parameters.webpQuality}`,
+              parameters.jpegQuality !== null && `JPEG quality ${parameters.jpegQuality}`,
+              parameters.pngQuality !== null && `pngquant [${parameters.pngQuality.join(', ')}]`,
+              parameters.paletteColors !== null && `global palette ${parameters.paletteColors} colours`,
+              parameters.minSsim !== null && `SSIM ≥ ${parameters.minSsim}`
+            ].filter(Boolean).join(', ');
+            console.log(`💰 ${prefix}Budget settings: ${quality}, ${parameters.lottieFrameRate}fps, scale ${parameters.scale} → ${formatSize(variant.budget.size)}`);
+          }
+          if (variant.label) {
+            console.log(`📱 ${prefix}${variant.outputFile} (${formatSize(variant.totalSize)})`);
+          }
+        }
+
+        console.log(`\n✅ Optimization complete! (${(result.timing.totalMs / 1000).toFixed(1)}s)`);
+      };
+
+      await runOnce();
+
+      // Re-run on input changes; unchanged frames come from the cache
+      if (options.watch) {
+        console.log(`\n👀 Watching ${input} for changes... (Ctrl+C to stop)`);
+        watchInput(input, async () => {
+          console.log('\n🔄 Change detected, updating...');
+          try {
+            await runOnce();
+          } catch (error) {
+            console.error('❌ Error:', error.message);
+          }
+        }, { ignore: [output] });
+      }
+
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('init')
+  .description('Create a camelottie.config.json with defaults and example presets')
+  .argument('[dir]', 'Directory to create the config file in', '.')
+  .option('--js', 'Write camelottie.config.js instead of JSON', false)
+  .option('--force', 'Overwrite an existing config file', false)
+  .action((dir, options) => {
+    const existing = configFileNames
+      .map(fileName => path.join(dir, fileName))
+      .find(filePath => fs.existsSync(filePath));
+
+    if (existing && !options.force) {
+      console.error(`❌ Config file already exists: ${existing} (use --force to overwrite)`);
+      process.exit(1);
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    const configFile = writeConfigTemplate(dir, options.js ? 'js' : 'json');
+    console.log(`✅ Created ${configFile}`);
+    console.log('   Run `camelottie optimize` to use it, or `camelottie optimize --preset web-small` for a preset');
+  });
+
+program
+  .command('inspect')
+  .description('Show stats for a generated animation.json or .lottie')
+  .argument('<file>', 'animation.json or .lottie file')
+  .option('--json', 'Print the report as JSON', false)
+  .action(async (file, options) => {
+    try {
+      const report = await inspectAnimation(file);
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+
+      const layerTypes = Object.entries(report.layers.byType).map(([type, count]) => `${count} ${type}`).join(', ');
+      console.log(`🔍 ${report.file} (${report.type === 'dotlottie' ? 'dotLottie' : 'JSON'}, ${formatSize(report.fileSize)})`);
+      console.log(`📐 ${report.width}×${report.height}, ${report.frameRate}fps, ${report.frames} frames (${report.duration === null ? '?' : report.duration.toFixed(2)}s), Lottie ${report.version}`);
+      if (report.markers.length > 0) {
+        console.log(`🏷️  Markers: ${report.markers.map(marker => `${marker.name} ${marker.start}-${marker.end}`).join(', ')}`);
+      }
+      console.log(`🧱 Layers: ${report.layers.total}${layerTypes ? ` (${layerTypes})` : ''}${report.layers.nested ? `, ${report.layers.nested} in precomps` : ''}`);
+      console.log(`🖼️  Assets: ${report.assets.images} images (${report.assets.embedded} embedded, ${report.assets.external} external${report.assets.missing ? `, ${report.assets.missing} missing` : ''}), ${report.assets.precomps} precomps`);
+
+      for (const image of report.images) {
+        const details = image.missing ? 'missing' :
+          image.error ? `unreadable (${image.error})` :
+          `${image.format.toUpperCase()} ${image.width}×${image.height}, ${formatSize(image.bytes)} (${formatSize(image.decodedBytes)} decoded)`;
+        console.log(`   ${image.id}: ${details}${image.embedded ? '' : ` — ${image.location}`}`);
+      }
+
+      const formats = Object.entries(report.formats).map(([format, count]) => `${count} ${format.toUpperCase()}`).join(', ');
+      console.log(`📦 Images: ${formatSize(report.totals.encodedBytes)} encoded, ${formatSize(report.totals.decodedBytes)} decoded${formats ? ` (${formats})` : ''}`);
+
+      if (report.duplicates.length > 0) {
+        console.log(`♻️  Duplicate assets: ${report.duplicates.map(ids => ids.join(' = ')).join('; ')}`);
+      } else {
+        console.log('♻️  Duplicate assets: none');
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('validate')
+  .description('Check a generated animation.json or .lottie against the Lottie schema and Camelottie\'s invariants')
+  .argument('<file>', 'animation.json or .lottie file')
+  .option('--json', 'Print the result as JSON', false)
+  .action(async (file, options) => {
+    const report = await validateAnimation(file);
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      report.errors.forEach(error => console.log(`❌ ${error}`));
+      report.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+      console.log(report.valid ?
+        `✅ ${report.file} is valid${report.warnings.length ? ` (${report.warnings.length} warnings)` : ''}` :
+        `❌ ${report.file}: ${report.errors.length} errors, ${report.warnings.length} warnings`);
+    }
+
+    process.exitCode = report.valid ? 0 : 1;
+  });
+
+program
+  .command('extract')
+  .description('Render an image-sequence animation.json or .lottie back to PNG frames, and optionally GIF, WebM or MP4')
+  .argument('<file>', 'animation.json or .lottie file')
+  .argument('[output-dir]', 'Output directory', './extracted')
+  .option('--scale <factor>', 'Frame size relative to the composition (e.g. 2 for @2x images)', parseFloat, 1)
+  .option('--assets-dir <dir>', 'Folder external image paths (u/p) are relative to (default: the JSON file\'s folder)')
+  .option('--gif', 'Also encode a GIF', false)
+  .option('--webm', 'Also encode a WebM (VP9, keeps transparency)', false)
+  .option('--mp4', 'Also encode an MP4 (H.264, flattened on the background)', false)
+  .option('--background <color>', 'Flatten GIF/WebM/MP4 onto this colour (#rrggbb; MP4 default: white)')
+  .action(async (file, outputDir, options) => {
+    try {
+      if (!fs.existsSync(file)) {
+        console.error(`❌ File not found: ${file}`);
+        process.exit(1);
+      }
+
+      const { extractAnimation } = require('./Camelottie.js');
+      const result = await extractAnimation({
+        input: path.resolve(file),
+        output: path.resolve(outputDir),
+        scale: options.scale,
+        assetsDir: options.assetsDir ? path.resolve(options.assetsDir) : null,
+        gif: options.gif,
+        webm: options.webm,
+        mp4: options.mp4,
+        background: options.background || null
+      });
+
+      console.log(`\n✅ Extraction complete! (${(result.timing.totalMs / 1000).toFixed(1)}s)`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('batch')
+  .description('Convert many inputs from a manifest (JSON or YAML) or a glob, with a consolidated report')
+  .argument('<manifest>', 'Manifest file (.json, .yaml, .yml), or a quoted glob of input folders and files (e.g. "assets/*")')
+  .option('-o, --output <dir>', 'Batch output directory: one folder per entry plus the report (default: from the manifest or ./batch-output)')
+  .option('-j, --jobs <n>', 'Entries to convert in parallel (default: from the manifest or half the CPU count)', parseInteger)
+  .option('-c, --config <path>', `Config file with shared settings and presets (default: ${configFileNames.join(' or ')} in the working directory or its parents)`)
+  .option('--no-config', 'Ignore config files')
+  .option('-p, --preset <name>', 'Preset for entries that don\'t name their own')
+  .option('--verbose', 'Show each entry\'s full log, prefixed with its name', false)
+  .action(async (manifest, options) => {
+    try {
+      const { configFile, fileConfig } = loadProjectConfig(options);
+      if (configFile) {
+        console.log(`⚙️  Config: ${configFile}`);
+      }
+
+      const { optimizeBatch } = require('./Camelottie.js');
+      const report = await optimizeBatch({
+        manifest,
+        output: options.output || null,
+        jobs: options.jobs || null,
+        preset: options.preset || null,
+        baseConfig: fileConfig,
+        verbose: options.verbose
+      });
+
+      console.log(`\n${fs.readFileSync(report.tableFile, 'utf8')}`);
+
+      if (report.totals.failed > 0) {
+        console.error(`❌ ${report.totals.failed} of ${report.totals.entries} entries failed`);
+        process.exitCode = 1;
+      } else {
+        console.log(`✅ Batch complete! (${(report.totals.timeMs / 1000).toFixed(1)}s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('compose')
+  .description('Layer several inputs (sequences, videos, stills) and solid colours into one animation')
+  .argument('<description>', 'Composition file (.json, .yaml, .yml) listing the layers, bottom first')
+  .argument('[output-dir]', 'Output directory (default: from the description or ./output)')
+  .option('-c, --config <path>', `Config file with shared settings and presets (default: ${configFileNames.join(' or ')} in the working directory or its parents)`)
+  .option('--no-config', 'Ignore config files')
+  .option('-p, --preset <name>', 'Preset for layers that don\'t name their own')
+  .option('--output-name <name>', 'Animation file name, without extension (default: the description\'s name or file name)')
+  .option('--external', 'Use external image files instead of embedded', false)
+  .option('--dotlottie', 'Write a .lottie package (manifest + binary images) instead of a JSON file', false)
+  .option('--no-loop', 'dotLottie/preview: disable looping')
+  .option('--no-autoplay', 'dotLottie/preview: disable autoplay')
+  .option('--asset-layout <target>', 'External images in an images/ folder laid out for web, android or ios (implies --external)')
+  .option('--asset-base-url <url>', 'External images: absolute URL they are served from, e.g. a CDN folder (implies --external)')
+  .option('--hash-asset-names', 'External images: add a content hash to each file name (implies --external)', false)
+  .option('--preview', 'Also write preview.html, a self-contained player for the composition', false)
+  .option('--verbose', 'Show each layer\'s full optimize log, prefixed with its name', false)
+  .action(async (description, outputDir, options) => {
+    try {
+      if (!fs.existsSync(description)) {
+        console.error(`❌ File not found: ${description}`);
+        process.exit(1);
+      }
+
+      const { configFile, fileConfig } = loadProjectConfig(options);
+      if (configFile) {
+        console.log(`⚙️  Config: ${configFile}`);
+      }
+
+      const { composeAnimation } = require('./Camelottie.js');
+      const result = await composeAnimation({
+        description,
+        output: outputDir || null,
+        preset: options.preset || null,
+        baseConfig: fileConfig,
+        verbose: options.verbose,
+        outputName: options.outputName || null,
         selfContainedLottie: !options.external,
-        webpQuality: options.quality
+        dotLottie: options.dotlottie,
+        loop: options.loop,
+        autoplay: options.autoplay,
+        assetLayout: options.assetLayout || null,
+        assetBaseUrl: options.assetBaseUrl || null,
+        hashAssetNames: options.hashAssetNames,
+        preview: options.preview
       });
 
-      // Cleanup temp directory
-      if (isVideo && fs.existsSync(tempDir)) {
-        fs.rmSync(tempDir, { recursive: true, force: true });
+      console.log(`\n✅ Composition complete! ${result.outputFile} (${formatSize(result.totalSize)}, ${(result.timing.totalMs / 1000).toFixed(1)}s)`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('serve')
+  .description('Run a local HTTP server that converts uploaded frame zips, videos and animated images in a job queue')
+  .option('--port <port>', 'Port to listen on', parseInteger, 3210)
+  .option('--host <host>', 'Address to listen on (use 0.0.0.0 to accept other machines)', '127.0.0.1')
+  .option('-j, --jobs <n>', 'Conversions to run in parallel', parseInteger, 1)
+  .option('--retention <duration>', 'How long finished jobs and their files are kept, e.g. 30m, 2h, 1d', '1h')
+  .option('--work-dir <dir>', 'Folder for uploads and outputs (default: a temp folder removed on exit)')
+  .option('--max-upload <size>', 'Largest accepted upload, e.g. 200mb', '500mb')
+  .option('--cors [origin]', 'Send CORS headers so browser apps can call the server (default origin: *)')
+  .option('-c, --config <path>', `Config file with default settings and presets (default: ${configFileNames.join(' or ')} in the working directory or its parents)`)
+  .option('--no-config', 'Ignore config files')
+  .option('-p, --preset <name>', 'Preset for uploads that don\'t name their own')
+  .action(async (options) => {
+    try {
+      const { configFile, fileConfig } = loadProjectConfig(options);
+      if (configFile) {
+        console.log(`⚙️  Config: ${configFile}`);
       }
 
-      console.log('\n✅ Optimization complete!');
+      const { startServer } = require('./Camelottie.js');
+      const server = await startServer({
+        port: options.port,
+        host: options.host,
+        jobs: options.jobs,
+        retention: options.retention,
+        workDir: options.workDir || null,
+        maxUploadSize: options.maxUpload,
+        baseConfig: fileConfig,
+        preset: options.preset || null,
+        cors: options.cors || false
+      });
+
+      console.log(`\n💡 Try: curl -F file=@frames.zip -F 'settings={"format":"webp"}' ${server.url}/jobs`);
+      console.log('   (Ctrl+C to stop)');
 
+      process.once('SIGINT', async () => {
+        console.log('\n👋 Stopping server...');
+        await server.close();
+        process.exit(130);
+      });
     } catch (error) {
       console.error('❌ Error:', error.message);
       process.exit(1);
@@ -113,16 +689,18 @@ program
   .description('Optimize PNG sequence to Lottie')
   .argument('<input-dir>', 'Input directory with PNG files')
   .argument('[output-dir]', 'Output directory (default: ./output)', './output')
-  .option('-f, --format <format>', 'Output format: png or webp', 'png')
-  .option('-w, --width <width>', 'Lottie animation width', parseInt)
-  .option('-h, --height <height>', 'Lottie animation height', parseInt)
-  .option('--fps <fps>', 'Target frame rate', parseInt, 15)
+  .option('-f, --format <format>', 'Output format: png, webp, jpeg or auto', 'png')
+  .option('-w, --width <width>', 'Lottie animation width', parseInteger)
+  .option('-h, --height <height>', 'Lottie animation height', parseInteger)
+  .option('--fps <fps>', 'Target frame rate', parseInteger, 15)
+  .option('--preview', 'Also write preview.html and contact-sheet.png', false)
   .action((inputDir, outputDir, options) => {
     program.parse(['optimize', inputDir, outputDir,
       '--format', options.format,
       '--fps', options.fps.toString(),
       ...(options.width ? ['--width', options.width.toString()] : []),
-      ...(options.height ? ['--height', options.height.toString()] : [])
+      ...(options.height ? ['--height', options.height.toString()] : []),
+      ...(options.preview ? ['--preview', '--contact-sheet'] : [])
     ], { from: 'user' });
   });
 
@@ -131,16 +709,26 @@ program
   .description('Convert MP4 video to Lottie animation')
   .argument('<video-file>', 'Input MP4 video file')
   .argument('[output-dir]', 'Output directory (default: ./output)', './output')
-  .option('-f, --format <format>', 'Output format: png or webp', 'webp')
-  .option('-w, --width <width>', 'Lottie animation width', parseInt)
-  .option('-h, --height <height>', 'Lottie animation height', parseInt)
-  .option('--fps <fps>', 'Target frame rate', parseInt, 15)
+  .option('-f, --format <format>', 'Output format: png, webp, jpeg or auto', 'webp')
+  .option('-w, --width <width>', 'Lottie animation width', parseInteger)
+  .option('-h, --height <height>', 'Lottie animation height', parseInteger)
+  .option('--fps <fps>', 'Target frame rate', parseInteger, 15)
+  .option('--start <time>', 'Start time (seconds or timestamp)')
+  .option('--end <time>', 'End time (seconds or timestamp)')
+  .option('--duration <time>', 'Length to convert from --start')
+  .option('--stream', 'Pipe raw frames from FFmpeg instead of writing temp PNGs', false)
+  .option('--preview', 'Also write preview.html and contact-sheet.png', false)
   .action((videoFile, outputDir, options) => {
     program.parse(['optimize', videoFile, outputDir,
       '--format', options.format,
       '--fps', options.fps.toString(),
       ...(options.width ? ['--width', options.width.toString()] : []),
-      ...(options.height ? ['--height', options.height.toString()] : [])
+      ...(options.height ? ['--height', options.height.toString()] : []),
+      ...(options.start ? ['--start', options.start] : []),
+      ...(options.end ? ['--end', options.end] : []),
+      ...(options.duration ? ['--duration', options.duration] : []),
+      ...(options.stream ? ['--stream'] : []),
+      ...(options.preview ? ['--preview', '--contact-sheet'] : [])
     ], { from: 'user' });
   });
 
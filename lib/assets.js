@@ -0,0 +1,161 @@
+// Publishing layouts for external assets: the images an animation uses are copied
+// into an images/ folder beside it, named and referenced (`u`) the way each
+// platform loads them, optionally with content hashes in the names and a CDN base
+// URL, and listed with their hashes and sizes in assets-manifest.json
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const imagesFolder = "images";
+const manifestFileName = "assets-manifest.json";
+const hashLength = 8; // Hex characters of the SHA-256 kept in file names
+
+// Android (assets/ + imageAssetsFolder) and iOS (flattened bundle resources) share
+// one images folder between animations, so their file names carry the animation name
+const assetLayouts = {
+  web: { prefixNames: false },
+  android: { prefixNames: true },
+  ios: { prefixNames: true }
+};
+
+// Publishing settings, or null when none of the options is set (images stay in
+// frames/ with bare names). A base URL or hashing alone implies the web layout.
+function resolveAssetLayout({ assetLayout = null, assetBaseUrl = null, hashAssetNames = false }) {
+  if (!assetLayout && !assetBaseUrl && !hashAssetNames) return null;
+
+  const layout = assetLayout || "web";
+  if (!assetLayouts[layout]) {
+    throw new Error(`Unknown asset layout "${layout}". Use one of: ${Object.keys(assetLayouts).join(", ")}`);
+  }
+
+  let baseUrl = null;
+  if (assetBaseUrl) {
+    let url;
+    try {
+      url = new URL(assetBaseUrl);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      throw new Error(`Invalid asset base URL "${assetBaseUrl}" (use an absolute http(s) URL, e.g. https://cdn.example.com/animations/hero/images/)`);
+    }
+    baseUrl = url.href.endsWith("/") ? url.href : `${url.href}/`;
+  }
+
+  return { layout, baseUrl, hashNames: Boolean(hashAssetNames) };
+}
+
+function hashContent(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Remove the images an earlier run listed in assets-manifest.json, so renamed
+// (e.g. re-hashed) files don't pile up
+function removePublishedFiles(outputDir) {
+  const manifestFile = path.join(outputDir, manifestFileName);
+  if (!fs.existsSync(manifestFile)) return;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+  } catch (error) {
+    return;
+  }
+
+  for (const entry of manifest.files || []) {
+    if (typeof entry.file === "string" && entry.file.startsWith(`${imagesFolder}/`)) {
+      fs.rmSync(path.join(outputDir, entry.file), { force: true });
+    }
+  }
+}
+
+// Copy the external image assets of lottieData from sourceDir into
+// outputDir/images and point their `u`/`p` at the copies. Assets with identical
+// content share one hashed file. Returns { imagesDir, files, size }, files being
+// [{ file, url, size, hash, assets }] relative to outputDir.
+function publishAssets(lottieData, { sourceDir, outputDir, name, layout, baseUrl = null, hashNames = false }) {
+  const imagesDir = path.join(outputDir, imagesFolder);
+  removePublishedFiles(outputDir);
+  fs.mkdirSync(imagesDir, { recursive: true });
+
+  const files = new Map(); // Published file name → manifest entry
+
+  for (const asset of lottieData.assets) {
+    if (asset.e === 1 || typeof asset.p !== "string" || asset.p.startsWith("data:")) continue;
+
+    const data = fs.readFileSync(path.join(sourceDir, asset.u || "", asset.p));
+    const hash = hashContent(data);
+    const { name: baseName, ext } = path.parse(asset.p);
+    const prefix = assetLayouts[layout].prefixNames ? `${name}_` : "";
+    const suffix = `${hashNames ? `.${hash.slice(0, hashLength)}` : ""}${ext}`;
+
+    // Different images with the same name (from different folders, e.g. the layers
+    // of a composition) are numbered
+    let fileName = `${prefix}${baseName}${suffix}`;
+    for (let number = 2; files.has(fileName) && files.get(fileName).hash !== hash; number++) {
+      fileName = `${prefix}${baseName}_${number}${suffix}`;
+    }
+
+    if (!files.has(fileName)) {
+      fs.writeFileSync(path.join(imagesDir, fileName), data);
+      files.set(fileName, {
+        file: `${imagesFolder}/${fileName}`,
+        url: baseUrl ? `${baseUrl}${fileName}` : null,
+        size: data.length,
+        hash,
+        assets: []
+      });
+    }
+
+    files.get(fileName).assets.push(asset.id);
+    asset.u = baseUrl || `${imagesFolder}/`;
+    asset.p = fileName;
+  }
+
+  const entries = [...files.values()];
+  return { imagesDir, files: entries, size: entries.reduce((total, entry) => total + entry.size, 0) };
+}
+
+// Write assets-manifest.json: the animation file and every published image with
+// its SHA-256 and size
+function writeAssetsManifest(outputDir, { animationFile, layout, baseUrl, files }) {
+  const data = fs.readFileSync(animationFile);
+  const manifest = {
+    animation: path.basename(animationFile),
+    layout,
+    baseUrl,
+    files: [
+      { file: path.basename(animationFile), url: null, size: data.length, hash: hashContent(data) },
+      ...files
+    ]
+  };
+  manifest.totalSize = manifest.files.reduce((total, entry) => total + entry.size, 0);
+
+  const manifestFile = path.join(outputDir, manifestFileName);
+  fs.writeFileSync(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifestFile;
+}
+
+// Local copies of published images by URL, from the assets-manifest.json beside
+// an animation (empty when there is none)
+function readPublishedUrls(outputDir) {
+  const manifestFile = path.join(outputDir, manifestFileName);
+  if (!fs.existsSync(manifestFile)) return new Map();
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    return new Map((manifest.files || [])
+      .filter(entry => entry.url && entry.file)
+      .map(entry => [entry.url, path.join(outputDir, entry.file)]));
+  } catch (error) {
+    return new Map();
+  }
+}
+
+module.exports = {
+  assetLayouts,
+  resolveAssetLayout,
+  publishAssets,
+  writeAssetsManifest,
+  readPublishedUrls
+};
@@ -0,0 +1,288 @@
+// Batch conversion: a manifest (JSON/YAML file, object, or a glob of inputs)
+// resolved into one optimize config per entry, and the consolidated report
+// (JSON and a plain-text table) written when the batch finishes
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fg = require("fast-glob");
+const YAML = require("yaml");
+const { detectInputType, naturalCompare } = require("./input");
+const { mergeConfig, resolveConfig } = require("./config");
+const { formatSize } = require("./budget");
+
+const manifestExtensions = [".json", ".yaml", ".yml"];
+const pathKeys = ["input", "output", "segmentsFile"]; // Resolved relative to the manifest
+const convertibleKinds = ["sequence", "video", "animated"];
+
+function isManifestFile(value) {
+  return typeof value === "string" && manifestExtensions.includes(path.extname(value).toLowerCase());
+}
+
+// Manifest contents from a JSON or YAML file
+function readManifestFile(filePath) {
+  let manifest;
+  try {
+    const text = fs.readFileSync(filePath, "utf8");
+    manifest = path.extname(filePath).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read batch manifest ${filePath}: ${error.message}`);
+  }
+
+  if (!manifest || typeof manifest !== "object") {
+    throw new Error(`Batch manifest ${filePath} must be an object or a list of entries`);
+  }
+  return manifest;
+}
+
+function resolvePaths(settings, baseDir) {
+  const resolved = { ...settings };
+  for (const key of pathKeys) {
+    if (typeof resolved[key] === "string") resolved[key] = path.resolve(baseDir, resolved[key]);
+  }
+  return resolved;
+}
+
+// Inputs matching a glob (relative to baseDir), in natural order. Matches that
+// aren't a frames folder, video or animated image are returned as skipped.
+function expandInputs(pattern, baseDir) {
+  const matches = fg.sync(pattern, { cwd: baseDir, onlyFiles: false, absolute: true })
+    .sort(naturalCompare);
+  const inputs = [];
+  const skipped = [];
+
+  for (const match of matches) {
+    const inputInfo = detectInputType(match);
+    if (convertibleKinds.includes(inputInfo.kind)) {
+      inputs.push(match);
+    } else {
+      skipped.push({ input: match, reason: `not a frames folder, video or animated image (${inputInfo.label})` });
+    }
+  }
+
+  return { inputs, skipped };
+}
+
+// Resolve a manifest into { output, jobs, entries, skipped }. Each entry is
+// { name, input, output, config } with its settings merged as:
+// entry > preset (entry's, else options.preset, else the manifest's) > manifest
+// defaults > baseConfig (the project config file).
+//
+// manifest: path to a .json/.yaml/.yml file, a glob of inputs, a list of
+// entries, or { output, jobs, preset, presets, defaults, entries }. Entries are
+// input paths/globs, or objects with input plus optional name, output, preset and
+// any optimize settings. Relative paths resolve from the manifest's folder.
+function resolveBatch(manifest, options = {}) {
+  const { output = null, jobs = null, preset = null, baseConfig = {}, cwd = process.cwd() } = options;
+
+  let baseDir = cwd;
+  let data;
+  if (isManifestFile(manifest)) {
+    data = readManifestFile(path.resolve(cwd, manifest));
+    baseDir = path.dirname(path.resolve(cwd, manifest));
+  } else if (typeof manifest === "string") {
+    data = { entries: [manifest] };
+  } else {
+    data = manifest || {};
+  }
+
+  const {
+    entries: entryList = [],
+    output: manifestOutput = null,
+    jobs: manifestJobs = null,
+    preset: manifestPreset = null,
+    presets = {},
+    defaults = {}
+  } = Array.isArray(data) ? { entries: data } : data;
+
+  if (!Array.isArray(entryList) || entryList.length === 0) {
+    throw new Error("Batch manifest has no entries");
+  }
+
+  const batchOutput = output ? path.resolve(cwd, output) :
+    path.resolve(baseDir, manifestOutput || "batch-output");
+
+  // The project config's own input/output don't apply to batch entries
+  const projectConfig = { ...baseConfig };
+  delete projectConfig.input;
+  delete projectConfig.output;
+  const sharedConfig = mergeConfig(projectConfig, { ...resolvePaths(defaults, baseDir), presets });
+
+  const entries = [];
+  const skipped = [];
+
+  entryList.forEach((item, index) => {
+    const entry = typeof item === "string" ? { input: item } : item;
+    if (!entry || typeof entry.input !== "string" || !entry.input) {
+      throw new Error(`Batch entry ${index + 1} needs an "input"`);
+    }
+
+    const { input, name = null, output: entryOutput = null, preset: entryPreset = null, ...settings } = entry;
+    let inputs = [path.resolve(baseDir, input)];
+
+    if (fg.isDynamicPattern(input)) {
+      const expanded = expandInputs(input, baseDir);
+      skipped.push(...expanded.skipped);
+      inputs = expanded.inputs;
+
+      if (inputs.length === 0) {
+        skipped.push({ input, reason: "no matching inputs" });
+      }
+      if ((name || entryOutput) && inputs.length > 1) {
+        throw new Error(`Batch entry ${index + 1} (${input}) matches ${inputs.length} inputs, so it can't set a single name or output`);
+      }
+    }
+
+    for (const inputPath of inputs) {
+      const entryName = name || path.parse(inputPath).name;
+      if (/[\\/]/.test(entryName)) {
+        throw new Error(`Invalid batch entry name "${entryName}" (use a name without folders)`);
+      }
+
+      const { config } = resolveConfig(sharedConfig, entryPreset || preset || manifestPreset, resolvePaths(settings, baseDir));
+      entries.push({
+        name: entryName,
+        input: inputPath,
+        output: entryOutput ? path.resolve(baseDir, entryOutput) : path.join(batchOutput, entryName),
+        config: { outputName: entryName, ...config }
+      });
+    }
+  });
+
+  // Outputs are per entry, so names must be unique
+  const seen = new Map();
+  for (const entry of entries) {
+    if (seen.has(entry.output)) {
+      throw new Error(`Batch entries "${seen.get(entry.output)}" and "${entry.name}" (${entry.input}) would both write to ${entry.output}: give one a different "name" (list glob matches separately to name them)`);
+    }
+    seen.set(entry.output, entry.name);
+  }
+
+  // Entries in parallel by default on bigger machines; frames within an entry
+  // share the remaining cores
+  const jobCount = Math.max(1, parseInt(jobs ?? manifestJobs) || Math.floor(os.cpus().length / 2));
+  const frameConcurrency = Math.max(1, Math.floor(os.cpus().length / jobCount));
+  entries.forEach(entry => {
+    if (entry.config.concurrency === undefined) entry.config.concurrency = frameConcurrency;
+  });
+
+  return { output: batchOutput, jobs: jobCount, entries, skipped };
+}
+
+// Report row for a finished or failed entry. Density variants are listed with
+// their own file, size and dimensions.
+function summarizeEntry(entry, result, error, timeMs) {
+  const row = { name: entry.name, input: entry.input, output: entry.output, status: error ? "failed" : "ok", timeMs };
+  if (error) return { ...row, error: error.message };
+
+  const main = result.variants ? result.variants[0] : result;
+  return {
+    ...row,
+    outputFile: main.outputFile,
+    width: main.width,
+    height: main.height,
+    frameRate: main.frameRate,
+    frames: main.timeline ? main.timeline.frames : main.frames.selected,
+    duration: main.duration,
+    layers: main.frames.layers,
+    assets: main.frames.assets,
+    formats: main.formats,
+    segments: (main.segments || []).map(segment => segment.name),
+    totalSize: result.totalSize,
+    budget: main.budget ? { maxSize: main.budget.maxSize, size: main.budget.size } : null,
+    warnings: main.warnings || [],
+    variants: result.variants ?
+      result.variants.map(variant => ({
+        label: variant.label,
+        outputFile: variant.outputFile,
+        width: variant.width,
+        height: variant.height,
+        totalSize: variant.totalSize
+      })) :
+      null
+  };
+}
+
+function buildBatchReport(batch, rows, { manifest = null, startTime, endTime }) {
+  const succeeded = rows.filter(row => row.status === "ok");
+
+  return {
+    manifest: isManifestFile(manifest) ? path.resolve(manifest) : typeof manifest === "string" ? manifest : null,
+    output: batch.output,
+    jobs: batch.jobs,
+    createdAt: new Date(endTime).toISOString(),
+    totals: {
+      entries: rows.length,
+      succeeded: succeeded.length,
+      failed: rows.length - succeeded.length,
+      skipped: batch.skipped.length,
+      totalSize: succeeded.reduce((total, row) => total + row.totalSize, 0),
+      timeMs: endTime - startTime
+    },
+    entries: rows,
+    skipped: batch.skipped
+  };
+}
+
+// Plain-text table of a batch report, with failures and skipped inputs listed after it
+function formatBatchTable(report) {
+  const header = ["Name", "Status", "Size", "Dimensions", "Frames", "FPS", "Duration", "Time"];
+  const rows = report.entries.map(row => row.status === "ok" ?
+    [
+      row.name,
+      row.status,
+      formatSize(row.totalSize),
+      `${row.width}×${row.height}${row.variants ? ` (${row.variants.map(variant => variant.label).join(" ")})` : ""}`,
+      String(row.frames),
+      String(row.frameRate),
+      `${row.duration.toFixed(2)}s`,
+      `${(row.timeMs / 1000).toFixed(1)}s`
+    ] :
+    [row.name, row.status, "-", "-", "-", "-", "-", `${(row.timeMs / 1000).toFixed(1)}s`]);
+
+  // Numbers are right-aligned
+  const rightAligned = [false, false, true, false, true, true, true, true];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = (cells) => cells
+    .map((cell, column) => rightAligned[column] ? cell.padStart(widths[column]) : cell.padEnd(widths[column]))
+    .join("  ")
+    .trimEnd();
+
+  const { totals } = report;
+  const lines = [
+    formatRow(header),
+    widths.map(width => "-".repeat(width)).join("  "),
+    ...rows.map(formatRow),
+    "",
+    `${totals.succeeded} of ${totals.entries} succeeded, ${formatSize(totals.totalSize)} total, ${(totals.timeMs / 1000).toFixed(1)}s (${report.jobs} in parallel)`
+  ];
+
+  const failed = report.entries.filter(row => row.status === "failed");
+  if (failed.length > 0) {
+    lines.push("", "Failed:", ...failed.map(row => `  ${row.name} (${row.input}): ${row.error}`));
+  }
+  if (report.skipped.length > 0) {
+    lines.push("", "Skipped:", ...report.skipped.map(item => `  ${item.input}: ${item.reason}`));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+// Write batch-report.json and batch-report.txt into the batch output folder
+function writeBatchReport(report, outputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const jsonFile = path.join(outputDir, "batch-report.json");
+  const textFile = path.join(outputDir, "batch-report.txt");
+
+  fs.writeFileSync(jsonFile, `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(textFile, formatBatchTable(report));
+  return { jsonFile, textFile };
+}
+
+module.exports = {
+  isManifestFile,
+  resolveBatch,
+  summarizeEntry,
+  buildBatchReport,
+  formatBatchTable,
+  writeBatchReport
+};
@@ -0,0 +1,221 @@
+// Target file-size budget: search encoder quality, output scale and frame rate
+// until the generated animation fits
+
+const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+// Parse a size like "250kb", "1.5MB" or "250000" into bytes
+function parseSize(value) {
+  if (typeof value === "number") return value;
+
+  const match = /^\s*([\d.]+)\s*(b|kb|mb)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid size: ${value} (use e.g. 250kb, 1.5mb or a byte count)`);
+  }
+
+  return Math.round(parseFloat(match[1]) * units[(match[2] || "b").toLowerCase()]);
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(2)}MB` : `${Math.round(bytes / 1024)}KB`;
+}
+
+// Candidate values for each search dimension, least aggressive first. The first
+// step is always the configured value, so a run that already fits changes nothing.
+function buildLadders(config) {
+  const format = config.format || "png";
+  const lottieFrameRate = config.lottieFrameRate || 15;
+  const scale = config.scale || 0.33;
+  const ladders = {};
+  const webpQuality = getWebpQuality(config);
+  const jpegQuality = getJpegQuality(config);
+  const pngRange = getPngQuality(config);
+  const paletteColors = parseInt(config.paletteColors) || 256;
+
+  // A global palette replaces pngquant, so PNG quality is its number of colours
+  const pngSteps = config.globalPalette ?
+    [paletteColors, ...[128, 64, 32].filter(step => step < paletteColors)].map(step => ({ paletteColors: step })) :
+    [pngRange, ...[[0.6, 0.7], [0.5, 0.6], [0.4, 0.5], [0.3, 0.4]].filter(step => step[1] < pngRange[1])].map(step => ({ pngQuality: step }));
+
+  const webpLossless = config.webpLossless ?? (config.webpSettings && config.webpSettings.lossless);
+
+  if (format === "webp") {
+    if (!webpLossless) {
+      ladders.quality = [webpQuality, ...[70, 60, 50, 40].filter(step => step < webpQuality)]
+        .map(step => ({ webpQuality: step }));
+    }
+  } else if (format === "jpeg" || format === "jpg") {
+    ladders.quality = [jpegQuality, ...[70, 60, 50, 40].filter(step => step < jpegQuality)]
+      .map(step => ({ jpegQuality: step }));
+  } else if (format === "auto") {
+    // Every codec steps down together, and so does the SSIM floor, or the
+    // smaller encodes would just be rejected
+    const minSsim = config.minSsim ?? 0.95;
+    ladders.quality = [0, 1, 2, 3, 4].map(step => ({
+      webpQuality: Math.max(40, webpQuality - step * 10),
+      jpegQuality: Math.max(40, jpegQuality - step * 10),
+      ...pngSteps[Math.min(step, pngSteps.length - 1)],
+      minSsim: Math.round((minSsim - step * 0.02) * 100) / 100
+    }));
+  } else {
+    ladders.quality = pngSteps;
+  }
+
+  ladders.fps = [lottieFrameRate, ...[24, 15, 12, 10].filter(step => step < lottieFrameRate)]
+    .map(step => ({ lottieFrameRate: step }));
+
+  // An exact target pixel size is never shrunk
+  if (!config.targetWidth && !config.targetHeight) {
+    ladders.scale = [1, 0.85, 0.7, 0.55]
+      .map(factor => ({ scale: Math.round(scale * factor * 1000) / 1000 }));
+  }
+
+  return ladders;
+}
+
+function getWebpQuality(config) {
+  return parseInt(config.webpQuality ?? (config.webpSettings && config.webpSettings.quality)) || 75;
+}
+
+function getJpegQuality(config) {
+  return parseInt(config.jpegQuality ?? (config.jpegSettings && config.jpegSettings.quality)) || 80;
+}
+
+function getPngQuality(config) {
+  const quality = config.pngQuality ?? (config.pngSettings && config.pngSettings.quality) ?? [0.7, 0.8];
+  return (Array.isArray(quality) ? quality : String(quality).split("-"))
+    .map(Number)
+    .map(value => value > 1 ? value / 100 : value);
+}
+
+function describePng(config) {
+  return config.globalPalette ?
+    `global palette ${parseInt(config.paletteColors) || 256} colours` :
+    `pngquant [${getPngQuality(config).join(", ")}]`;
+}
+
+function describeParameters(config) {
+  const parts = [];
+  if (config.format === "webp") {
+    parts.push(`WebP quality ${getWebpQuality(config)}`);
+  } else if (config.format === "jpeg" || config.format === "jpg") {
+    parts.push(`JPEG quality ${getJpegQuality(config)}`);
+  } else if (config.format === "auto") {
+    parts.push(`auto (WebP ${getWebpQuality(config)}, JPEG ${getJpegQuality(config)}, ${describePng(config)}, SSIM ≥ ${config.minSsim ?? 0.95})`);
+  } else {
+    parts.push(describePng(config));
+  }
+  parts.push(`${config.lottieFrameRate || 15}fps`);
+  parts.push(config.targetWidth || config.targetHeight ?
+    `${config.targetWidth || "auto"}×${config.targetHeight || "auto"}px` :
+    `scale ${config.scale || 0.33}`);
+  return parts.join(", ");
+}
+
+// Run `optimize` with progressively smaller settings until the output fits in
+// config.maxSize. Dimensions are searched in config.budgetPriority order: each one
+// is binary-searched for its least aggressive step that fits, and left at its
+// most aggressive step before moving on if none does.
+async function optimizeWithinBudget(optimize, config) {
+  const { maxSize: maxSizeSetting, budgetPriority = ["quality", "scale", "fps"], logger = console, onProgress = null, ...baseConfig } = config;
+  const maxSize = parseSize(maxSizeSetting);
+  const ladders = buildLadders(baseConfig);
+  const log = (...args) => logger && logger.log(...args);
+
+  for (const dimension of budgetPriority) {
+    if (!["quality", "scale", "fps"].includes(dimension)) {
+      throw new Error(`Unknown budget priority "${dimension}" (use quality, scale and fps)`);
+    }
+  }
+
+  const attempts = [];
+  let locked = {}; // Settings fixed by dimensions already searched
+
+  const attempt = async (overrides) => {
+    const attemptConfig = { ...baseConfig, ...locked, ...overrides };
+    const result = await optimize({ ...attemptConfig, logger: null, onProgress });
+    const fits = result.totalSize <= maxSize;
+
+    attempts.push({ parameters: describeParameters(attemptConfig), size: result.totalSize, fits });
+    log(`🔎 Budget attempt ${attempts.length}: ${describeParameters(attemptConfig)} → ${formatSize(result.totalSize)} ${fits ? "✓" : "(over budget)"}`);
+    if (onProgress) onProgress({ stage: "budget", attempt: attempts.length, size: result.totalSize, fits });
+
+    return { result, fits, config: attemptConfig };
+  };
+
+  log(`💰 Size budget: ${formatSize(maxSize)} (priority: ${budgetPriority.join(" → ")})`);
+
+  let best = await attempt({});
+  let last = best;
+
+  if (!best.fits) {
+    for (const dimension of budgetPriority) {
+      const ladder = ladders[dimension];
+      if (!ladder || ladder.length < 2) continue;
+
+      // Most aggressive step first: if even that is too big, keep it and move on
+      const aggressive = await attempt(ladder[ladder.length - 1]);
+      last = aggressive;
+
+      if (!aggressive.fits) {
+        locked = { ...locked, ...ladder[ladder.length - 1] };
+        best = aggressive;
+        continue;
+      }
+
+      // Binary search for the least aggressive step that still fits
+      let low = 0; // Known not to fit (index 0 is the current setting)
+      let high = ladder.length - 1; // Known to fit
+      best = aggressive;
+
+      while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        const candidate = await attempt(ladder[middle]);
+        last = candidate;
+
+        if (candidate.fits) {
+          high = middle;
+          best = candidate;
+        } else {
+          low = middle;
+        }
+      }
+
+      locked = { ...locked, ...ladder[high] };
+      break;
+    }
+  }
+
+  if (!best.fits) {
+    throw new Error(`Size budget of ${formatSize(maxSize)} can't be met: smallest output was ${formatSize(best.result.totalSize)} (${describeParameters(best.config)})`);
+  }
+
+  // Leave the output directory holding the chosen result
+  let final = best;
+  if (last !== best) {
+    const result = await optimize({ ...best.config, logger: null, onProgress });
+    final = { ...best, result };
+  }
+
+  const finalFormat = final.config.format === "jpg" ? "jpeg" : final.config.format || "png";
+  log(`✅ Budget met: ${formatSize(final.result.totalSize)} of ${formatSize(maxSize)} with ${describeParameters(final.config)} (${attempts.length} attempts)`);
+
+  return {
+    ...final.result,
+    budget: {
+      maxSize,
+      size: final.result.totalSize,
+      parameters: {
+        webpQuality: ["webp", "auto"].includes(finalFormat) ? getWebpQuality(final.config) : null,
+        pngQuality: ["png", "auto"].includes(finalFormat) && !final.config.globalPalette ? getPngQuality(final.config) : null,
+        paletteColors: ["png", "auto"].includes(finalFormat) && final.config.globalPalette ? parseInt(final.config.paletteColors) || 256 : null,
+        jpegQuality: ["jpeg", "auto"].includes(finalFormat) ? getJpegQuality(final.config) : null,
+        minSsim: finalFormat === "auto" ? final.config.minSsim ?? 0.95 : null,
+        lottieFrameRate: final.config.lottieFrameRate || 15,
+        scale: final.config.scale || 0.33
+      },
+      attempts
+    }
+  };
+}
+
+module.exports = { optimizeWithinBudget, parseSize, formatSize };
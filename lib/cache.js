@@ -0,0 +1,88 @@
+// Content-hash cache for optimized frames, keyed by source bytes + frame settings
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const manifestName = "cache.json";
+
+// Default cache folder for an output folder: under the system temp folder, so
+// output folders hold only what gets published
+function getDefaultCacheDir(output) {
+  const outputKey = crypto.createHash("sha1").update(path.resolve(output)).digest("hex").slice(0, 16);
+  return path.join(os.tmpdir(), "camelottie-cache", outputKey);
+}
+
+// Open (or create) a frame cache in cacheDir. Entries not used recently are
+// pruned on save so the cache doesn't grow without bound.
+function openFrameCache(cacheDir) {
+  const manifestPath = path.join(cacheDir, manifestName);
+  let entries = {};
+
+  if (fs.existsSync(manifestPath)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(manifestPath, "utf8")).entries || {};
+    } catch (error) {
+      entries = {}; // Corrupt manifest: start over
+    }
+  } else {
+    fs.mkdirSync(cacheDir, { recursive: true });
+  }
+
+  const stats = { hits: 0, misses: 0 };
+  const runStarted = Date.now();
+
+  return {
+    stats,
+
+    // Cache key for a source file (or raw frame buffer) and the settings that
+    // affect its optimized output
+    keyFor(source, settingsKey) {
+      return crypto.createHash("sha1")
+        .update(Buffer.isBuffer(source) ? source : fs.readFileSync(source))
+        .update(settingsKey)
+        .digest("hex");
+    },
+
+    // Copy a cached frame into destDir as baseName plus the cached file's
+    // extension (the format may differ per frame); returns { file, bytes }, or null on a miss
+    restore(key, destDir, baseName) {
+      const entry = entries[key];
+      const cachedPath = entry && path.join(cacheDir, entry.file);
+
+      if (!entry || !fs.existsSync(cachedPath)) {
+        stats.misses++;
+        return null;
+      }
+
+      const file = baseName + path.extname(entry.file);
+      fs.copyFileSync(cachedPath, path.join(destDir, file));
+      entry.lastUsed = Date.now();
+      stats.hits++;
+      return { file, bytes: entry.bytes };
+    },
+
+    store(key, sourcePath) {
+      const file = key + path.extname(sourcePath);
+      fs.copyFileSync(sourcePath, path.join(cacheDir, file));
+      entries[key] = { file, bytes: fs.statSync(sourcePath).size, lastUsed: Date.now() };
+    },
+
+    // Write the manifest, keeping everything used in this run plus up to
+    // `keepExtra` of the most recently used older entries
+    save(keepExtra = 0) {
+      const older = Object.entries(entries)
+        .filter(([, entry]) => entry.lastUsed < runStarted)
+        .sort((a, b) => b[1].lastUsed - a[1].lastUsed);
+
+      for (const [key, entry] of older.slice(keepExtra)) {
+        fs.rmSync(path.join(cacheDir, entry.file), { force: true });
+        delete entries[key];
+      }
+
+      fs.writeFileSync(manifestPath, JSON.stringify({ version: 1, entries }, null, 2));
+    }
+  };
+}
+
+module.exports = { openFrameCache, getDefaultCacheDir };
@@ -0,0 +1,409 @@
+// Compositions: several inputs (frame folders, videos, animated or still images)
+// and solid colours layered in one animation. Each input is optimized on its own
+// by the pipeline; its animation becomes a precomp placed with a position,
+// opacity, start offset and loop behaviour.
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { detectInputType } = require("./input");
+const { mergeConfig, resolveConfig } = require("./config");
+const { parseColor, formatColor } = require("./key");
+const { parseFramePosition, parseSegments, addMarkers } = require("./timeline");
+
+const descriptionExtensions = [".json", ".yaml", ".yml"];
+const inputKinds = ["sequence", "video", "animated", "still"];
+
+// Settings a layer's own options decide, whatever the defaults or presets say
+const layerOwnedKeys = ["input", "output", "densities", "lottieWidth", "lottieHeight", "dotLottie", "assetLayout", "assetBaseUrl",
+  "hashAssetNames", "preview", "contactSheet", "segments", "segmentsFile", "outputName"];
+
+function isCompositionFile(value) {
+  return typeof value === "string" && descriptionExtensions.includes(path.extname(value).toLowerCase());
+}
+
+// Description contents from a JSON or YAML file
+function readCompositionFile(filePath) {
+  let description;
+  try {
+    const text = fs.readFileSync(filePath, "utf8");
+    description = path.extname(filePath).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read composition ${filePath}: ${error.message}`);
+  }
+
+  if (!description || typeof description !== "object" || Array.isArray(description)) {
+    throw new Error(`Composition ${filePath} must be an object with "layers"`);
+  }
+  return description;
+}
+
+function parsePosition(value, where) {
+  if (value === undefined || value === null) return [0, 0];
+  if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+    throw new Error(`${where}: "position" must be [x, y] in composition pixels`);
+  }
+  return value;
+}
+
+function parseOpacity(value, where) {
+  if (value === undefined || value === null) return 1;
+  if (!(value >= 0 && value <= 1)) {
+    throw new Error(`${where}: "opacity" must be between 0 and 1`);
+  }
+  return value;
+}
+
+// Plays of an input layer: true = until the composition ends, false = once, or a count
+function parseLoop(value, where) {
+  if (value === undefined || value === null || value === false) return 1;
+  if (value === true) return Infinity;
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${where}: "loop" must be true, false or a number of plays`);
+  }
+  return value;
+}
+
+function parseSize(value, what, where) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${where}: "${what}" must be a whole number of pixels`);
+  }
+  return value;
+}
+
+// Resolve a description into { name, output, width, height, frameRate, duration,
+// segments, layers }. Layers are listed bottom first (later layers cover earlier
+// ones) and are either
+// { type: "input", name, input, still, config, position, opacity, start, end, plays, hold }
+// or { type: "solid", name, color, width, height, position, opacity, start, end }.
+// Times given as frames or seconds ("1.5s") are resolved to frames.
+//
+// description: path to a .json/.yaml/.yml file or the object itself:
+// { name, output, width, height, fps, duration, background, segments, preset,
+//   presets, defaults, layers }. Input layers are paths, or objects with input plus
+// optional name, position, scale (or width/height), opacity, start, end, loop,
+// hold, preset and settings (optimize settings). A layer's scale re-samples its
+// frames (the optimize scale, falling back to its settings, preset, defaults or
+// project config, else 1); it is not a Lottie transform scale. Solid layers have
+// "solid" (a colour) plus optional width, height, position, opacity, start and end.
+// Settings merge as: layer settings > preset (layer's, else options.preset, else
+// the description's) > defaults > baseConfig (the project config file).
+function resolveComposition(description, options = {}) {
+  const { output = null, preset = null, baseConfig = {}, cwd = process.cwd() } = options;
+
+  let baseDir = cwd;
+  let data = description;
+  let fileName = null;
+  if (isCompositionFile(description)) {
+    const filePath = path.resolve(cwd, description);
+    data = readCompositionFile(filePath);
+    baseDir = path.dirname(filePath);
+    fileName = path.parse(filePath).name;
+  } else if (!data || typeof data !== "object") {
+    throw new Error("A composition needs a description file (.json, .yaml, .yml) or object");
+  }
+
+  const {
+    name = fileName || "animation",
+    output: descriptionOutput = null,
+    width = null,
+    height = null,
+    fps = null,
+    duration = null,
+    background = null,
+    segments = null,
+    preset: descriptionPreset = null,
+    presets = {},
+    defaults = {},
+    layers: layerList = []
+  } = data;
+
+  if (!Array.isArray(layerList) || layerList.length === 0) {
+    throw new Error("Composition has no layers");
+  }
+
+  const compositionOutput = output ? path.resolve(cwd, output) :
+    path.resolve(baseDir, descriptionOutput || "output");
+
+  // The project config's own input/output don't apply to composition layers
+  const projectConfig = { ...baseConfig };
+  delete projectConfig.input;
+  delete projectConfig.output;
+  const sharedConfig = mergeConfig(projectConfig, { ...defaults, presets });
+  const frameRate = parseFloat(fps ?? sharedConfig.lottieFrameRate ?? 15);
+  if (!(frameRate > 0)) {
+    throw new Error(`Invalid composition fps "${fps}"`);
+  }
+
+  const layers = [];
+  if (background) {
+    layers.push({ type: "solid", name: "Background", color: parseColor(background), width: null, height: null, position: [0, 0], opacity: 1, start: 0, end: null });
+  }
+
+  layerList.forEach((item, index) => {
+    const layer = typeof item === "string" ? { input: item } : item;
+    const where = `Composition layer ${index + 1}`;
+    if (!layer || typeof layer !== "object") {
+      throw new Error(`${where}: expected an input path or an object`);
+    }
+
+    const common = {
+      position: parsePosition(layer.position, where),
+      opacity: parseOpacity(layer.opacity, where),
+      start: parseFramePosition(layer.start ?? 0, frameRate, `${where} start`),
+      end: parseFramePosition(layer.end, frameRate, `${where} end`)
+    };
+    if (common.end !== null && common.end <= common.start) {
+      throw new Error(`${where} ends (frame ${common.end}) before it starts (frame ${common.start})`);
+    }
+
+    if (layer.solid !== undefined) {
+      layers.push({
+        type: "solid",
+        name: layer.name || `Solid ${index + 1}`,
+        color: parseColor(layer.solid),
+        width: parseSize(layer.width, "width", where),
+        height: parseSize(layer.height, "height", where),
+        ...common
+      });
+      return;
+    }
+
+    if (typeof layer.input !== "string" || !layer.input) {
+      throw new Error(`${where} needs an "input" (or "solid" for a colour layer)`);
+    }
+
+    const input = path.resolve(baseDir, layer.input);
+    const layerName = layer.name || path.parse(input).name;
+    if (/[\\/]/.test(layerName)) {
+      throw new Error(`Invalid composition layer name "${layerName}" (use a name without folders)`);
+    }
+    if (!fs.existsSync(input)) {
+      throw new Error(`${where} (${layerName}): input not found: ${input}`);
+    }
+
+    const inputInfo = detectInputType(input);
+    if (!inputKinds.includes(inputInfo.kind)) {
+      throw new Error(`${where} (${layerName}): unsupported input ${input} (${inputInfo.label}). Use a folder of frames, a video, an animated or still image.`);
+    }
+
+    const { config } = resolveConfig(sharedConfig, layer.preset || preset || descriptionPreset, layer.settings || {});
+    layerOwnedKeys.forEach(key => delete config[key]);
+
+    const still = inputInfo.kind === "still";
+    layers.push({
+      type: "input",
+      name: layerName,
+      input,
+      still,
+      config: {
+        ...config,
+        outputName: layerName,
+        lottieFrameRate: frameRate,
+        // The layer's size in the composition is the size its frames are optimized at
+        scale: layer.scale ?? config.scale ?? 1,
+        targetWidth: parseSize(layer.width, "width", where),
+        targetHeight: parseSize(layer.height, "height", where),
+        // A still becomes exactly one Lottie frame
+        ...(still ? { originalFrameRate: frameRate } : {})
+      },
+      plays: still ? 1 : parseLoop(layer.loop, where),
+      hold: still || Boolean(layer.hold),
+      ...common
+    });
+  });
+
+  // Each input writes to its own layers/<name> folder
+  const names = new Set();
+  for (const layer of layers.filter(layer => layer.type === "input")) {
+    if (names.has(layer.name)) {
+      throw new Error(`Composition layers share the name "${layer.name}": give one a different "name"`);
+    }
+    names.add(layer.name);
+  }
+
+  const totalFrames = parseFramePosition(duration, frameRate, "composition duration");
+  if (totalFrames === 0) {
+    throw new Error("Composition duration must be at least one frame");
+  }
+
+  return {
+    name,
+    output: compositionOutput,
+    width: parseSize(width, "width", "Composition"),
+    height: parseSize(height, "height", "Composition"),
+    frameRate,
+    duration: totalFrames, // null = until the inputs finish
+    segments: parseSegments(segments),
+    layers
+  };
+}
+
+// Static transform placing a layer's top-left corner at position
+function placement(position, opacity) {
+  return {
+    o: { a: 0, k: opacity * 100 }, // Opacity
+    r: { a: 0, k: 0 }, // Rotation
+    p: { a: 0, k: [position[0], position[1], 0] }, // Position (top-left corner)
+    a: { a: 0, k: [0, 0, 0] }, // Anchor point
+    s: { a: 0, k: [100, 100, 100] } // Scale
+  };
+}
+
+// A clip's root layers and assets with every asset id prefixed, so clips can't clash
+function prefixClip(lottieData, prefix, assetsPath) {
+  const renameLayers = (layers) => layers.map(layer => layer.refId === undefined ? { ...layer } : { ...layer, refId: `${prefix}${layer.refId}` });
+
+  const assets = (lottieData.assets || []).map(asset => {
+    const renamed = { ...asset, id: `${prefix}${asset.id}` };
+    if (Array.isArray(asset.layers)) {
+      renamed.layers = renameLayers(asset.layers);
+    } else if (assetsPath && asset.e !== 1 && typeof asset.p === "string" && !asset.p.startsWith("data:")) {
+      renamed.u = `${assetsPath}${asset.u || ""}`; // Clip's `u` is relative to its own JSON
+    }
+    return renamed;
+  });
+
+  return { layers: renameLayers(lottieData.layers), assets };
+}
+
+// Assemble a resolved composition. clips maps each input layer's name to
+// { lottieData, assetsPath }: its optimized animation, and for external images
+// the folder of its JSON (which their `u` is relative to), relative to the
+// composed animation.
+// Returns { lottieData, layers, segments }: layers with their placement in frames.
+function buildComposition(composition, clips) {
+  const { frameRate, layers } = composition;
+
+  const timed = layers.map(layer => {
+    const { start, end } = layer;
+    if (layer.type === "solid") return { layer, start, end };
+
+    const clip = clips.get(layer.name);
+    return { layer, start, end, clip, length: clip.lottieData.op - clip.lottieData.ip };
+  });
+
+  // Without a duration the composition runs until the last input finishes its
+  // plays (one play for endless loops)
+  const inputEnds = timed
+    .filter(item => item.clip)
+    .map(item => item.end ?? item.start + item.length * (Number.isFinite(item.layer.plays) ? item.layer.plays : 1));
+  const solidEnds = timed.filter(item => !item.clip && item.end !== null).map(item => item.end);
+  const totalFrames = composition.duration || Math.max(1, ...inputEnds, ...solidEnds);
+
+  // Size: as given, or the area every input and sized solid covers
+  const extents = timed.map(({ layer, clip }) => clip ?
+    [layer.position[0] + clip.lottieData.w, layer.position[1] + clip.lottieData.h] :
+    [layer.position[0] + (layer.width || 0), layer.position[1] + (layer.height || 0)]);
+  const width = composition.width || Math.max(1, ...extents.map(extent => Math.ceil(extent[0])));
+  const height = composition.height || Math.max(1, ...extents.map(extent => Math.ceil(extent[1])));
+
+  const lottieData = {
+    v: "5.7.4", // Lottie version
+    fr: frameRate, // Frame rate
+    ip: 0, // In point (start frame)
+    op: totalFrames, // Out point (end frame)
+    w: width, // Width
+    h: height, // Height
+    nm: composition.name, // Name
+    ddd: 0, // 3D layers (0 = 2D)
+    assets: [], // Precomps and their images
+    layers: [] // Composition layers (first = top)
+  };
+
+  const summaries = [];
+  let nextIndex = 1;
+
+  // Lottie draws the first layer on top, so the bottom layer goes last
+  for (const { layer, start, end, clip, length } of [...timed].reverse()) {
+    const stop = Math.min(end ?? totalFrames, totalFrames);
+    if (start >= stop) {
+      throw new Error(`Layer "${layer.name}" starts at frame ${start}, after the composition ends (${totalFrames})`);
+    }
+
+    if (layer.type === "solid") {
+      lottieData.layers.push({
+        ddd: 0,
+        ind: nextIndex++, // Layer index (1-based)
+        ty: 1, // Layer type (1 = solid)
+        nm: layer.name,
+        sc: formatColor(layer.color), // Solid colour
+        sw: layer.width || width, // Solid width
+        sh: layer.height || height, // Solid height
+        ks: placement(layer.position, layer.opacity),
+        ao: 0,
+        ip: start,
+        op: stop,
+        st: 0,
+        bm: 0
+      });
+      summaries.unshift({ name: layer.name, type: "solid", color: formatColor(layer.color), start, end: stop });
+      continue;
+    }
+
+    const precompId = `comp_${layer.name}`;
+    const { layers: clipLayers, assets } = prefixClip(clip.lottieData, `${layer.name}_`, clip.assetsPath);
+
+    // Holding the last frame: the layers showing at the clip's end stay on. Earlier
+    // plays are cut by their own out points, so only the last play holds.
+    if (layer.hold) {
+      clipLayers.forEach(clipLayer => {
+        if (clipLayer.op >= clip.lottieData.op) clipLayer.op = Math.max(clipLayer.op, totalFrames);
+      });
+    }
+
+    lottieData.assets.push(...assets, {
+      id: precompId,
+      nm: layer.name,
+      fr: frameRate,
+      w: clip.lottieData.w,
+      h: clip.lottieData.h,
+      layers: clipLayers
+    });
+
+    // One precomp layer per play, each restarting the clip (st)
+    let plays = 0;
+    for (let playStart = start; playStart < stop && plays < layer.plays; playStart += length) {
+      plays++;
+      const isLastPlay = plays === layer.plays;
+      lottieData.layers.push({
+        ddd: 0,
+        ind: nextIndex++, // Layer index (1-based)
+        ty: 0, // Layer type (0 = precomp)
+        nm: layer.plays > 1 ? `${layer.name} (play ${plays})` : layer.name,
+        refId: precompId,
+        sr: 1, // Stretch ratio
+        ks: placement(layer.position, layer.opacity),
+        ao: 0,
+        w: clip.lottieData.w, // Precomp size (clips its content)
+        h: clip.lottieData.h,
+        ip: playStart,
+        op: isLastPlay && layer.hold ? stop : Math.min(playStart + length, stop),
+        st: playStart, // The clip's frame 0
+        bm: 0
+      });
+    }
+
+    summaries.unshift({
+      name: layer.name,
+      type: "input",
+      input: layer.input,
+      width: clip.lottieData.w,
+      height: clip.lottieData.h,
+      frames: length,
+      plays,
+      hold: layer.hold,
+      start,
+      end: lottieData.layers[lottieData.layers.length - 1].op
+    });
+  }
+
+  const segments = composition.segments.length > 0 ? addMarkers(lottieData, composition.segments, frameRate) : [];
+  return { lottieData, layers: summaries, segments };
+}
+
+module.exports = {
+  isCompositionFile,
+  resolveComposition,
+  buildComposition
+};
@@ -0,0 +1,283 @@
+// Project config files (camelottie.config.json / .js) and named presets
+const fs = require("fs");
+const path = require("path");
+
+const configFileNames = ["camelottie.config.json", "camelottie.config.js"];
+
+// Built-in presets. Config files can add their own under "presets" or override these.
+const builtInPresets = {
+  "web-small": {
+    format: "webp",
+    webpQuality: 65,
+    lottieWidth: 320,
+    lottieFrameRate: 15
+  },
+  "web-hd": {
+    format: "webp",
+    webpQuality: 80,
+    lottieWidth: 720,
+    lottieFrameRate: 24
+  },
+  "mobile-hd": {
+    format: "webp",
+    webpQuality: 85,
+    lottieWidth: 1080,
+    lottieFrameRate: 30
+  },
+  "lossless": {
+    format: "png",
+    pngSettings: { quality: [0.9, 1], speed: 1 }
+  }
+};
+
+// Shorthand encoder keys → [nested settings object, field]
+const shorthandSettings = {
+  webpQuality: ["webpSettings", "quality"],
+  webpLossless: ["webpSettings", "lossless"],
+  webpNearLossless: ["webpSettings", "nearLossless"],
+  webpEffort: ["webpSettings", "effort"],
+  pngQuality: ["pngSettings", "quality"],
+  pngSpeed: ["pngSettings", "speed"],
+  pngPosterize: ["pngSettings", "posterize"],
+  pngDithering: ["pngSettings", "dithering"],
+  jpegQuality: ["jpegSettings", "quality"]
+};
+
+// Starting point written by `camelottie init`
+//
+// WebP Settings Guide:
+// - lossless: true = perfect quality, larger files | false = good quality, much smaller files
+// - quality: 0-100 (only for lossy), 80-90 = good balance, 95+ = very high quality
+// - effort: 0-6, higher = slower but smaller files (4-5 recommended)
+// - nearLossless: subtle quality loss for smaller lossless files
+//
+// PNG Settings Guide:
+// - quality: [min, max] range 0.0-1.0, [0.6, 0.8] = balanced, [0.8, 0.9] = high quality
+// - speed: 1-11, higher = faster compression but larger files
+// - posterize: drop 0-4 bits of colour precision (null = off)
+// - dithering: 0-1 Floyd-Steinberg strength, false = off (null = pngquant default)
+// - globalPalette: one palette of paletteColors (2-256) sampled from paletteSampleFrames frames and shared
+//   by every frame instead of pngquant per frame, so colours don't flicker between frames
+//
+// Format Settings Guide:
+// - format: "png", "webp", "jpeg" (no transparency) or "auto" = per frame, the smallest of autoFormats above minSsim
+// - autoFormats: codecs "auto" may pick (null = png, webp, jpeg); JPEG is only used for fully opaque frames
+// - minSsim: 0-1 quality floor measured against the uncompressed frame, 0.95 = visually close, 0.98+ = near-identical
+// - players: e.g. ["web", "ios-legacy"] limits the formats to what every player decodes (ios-legacy, web-legacy: no WebP)
+// - jpegSettings.quality: 1-100, 75-85 = good balance
+//
+// Resize Settings Guide:
+// - scale: frame resize factor; targetWidth/targetHeight: exact frame pixels instead (either may be null = auto)
+// - kernel: nearest, linear, cubic, mitchell, lanczos2, lanczos3 (nearest keeps pixel art crisp)
+// - densities: e.g. [1, 2, 3] writes output/@1x, @2x, @3x variants with the same display size
+//
+// Crop Settings Guide:
+// - cropWidth/cropHeight/cropX/cropY: source pixels, applied before resizing
+// - cropGravity: center, north, northeast, east, ..., northwest (ignored on axes with cropX/cropY)
+// - autoTrim: crop to the union of all frames' non-transparent pixels, plus autoTrimPadding
+//
+// Keying Settings Guide:
+// - chromaKey: "green", "blue" or "#rrggbb" for green/blue screens; removeBackground: "#rrggbb" or "auto" for solid backgrounds
+// - keyTolerance/keySoftness: percent colour distance keyed out / faded in; keySpill: 0-1 chroma spill suppression
+//
+// Review Output Guide:
+// - preview: also write preview.html, a self-contained player with the animation beside its source frames
+// - contactSheet: also write contact-sheet.png, a grid of the frames the animation shows (contactSheetColumns: null = auto)
+//
+// Timeline Settings Guide:
+// - inPoint/outPoint: trim the animation to Lottie frames [inPoint, outPoint), as frames (30) or seconds ("1s")
+// - pingPong: play forward then backward; the backward half reuses the forward images
+// - segments: named ranges of the final timeline written as Lottie markers, e.g. { "intro": [0, 30], "idle": ["1s", "3s"] }
+//   (segmentsFile: the same in a JSON file, relative to this config file)
+//
+// Asset Publishing Guide (external images, any of these implies selfContainedLottie: false):
+// - assetLayout: "web", "android" or "ios" copies the images into images/ beside the animation
+//   (android/ios prefix the file names with outputName so animations can share one folder)
+// - assetBaseUrl: absolute URL the images are served from (e.g. a CDN), written into the animation
+// - hashAssetNames: content hash in each image name, so changed frames get new URLs
+// - assets-manifest.json lists the animation and every image with its SHA-256 and size
+const configTemplate = {
+  input: "input",
+  output: "output",
+  preset: null,
+  format: "webp",
+  lottieFrameRate: 15,
+  originalFrameRate: null,
+  scale: 0.33,
+  targetWidth: null,
+  targetHeight: null,
+  kernel: "lanczos3",
+  densities: null,
+  lottieWidth: null,
+  lottieHeight: null,
+  cropWidth: null,
+  cropHeight: null,
+  cropX: null,
+  cropY: null,
+  cropGravity: "center",
+  autoTrim: false,
+  autoTrimPadding: 0,
+  selfContainedLottie: true,
+  preview: false,
+  contactSheet: false,
+  inPoint: null,
+  outPoint: null,
+  pingPong: false,
+  segments: null,
+  assetLayout: null,
+  assetBaseUrl: null,
+  hashAssetNames: false,
+  webpSettings: {
+    lossless: false,
+    quality: 75,
+    effort: 6,
+    nearLossless: false
+  },
+  pngSettings: {
+    quality: [0.7, 0.8],
+    speed: 4,
+    posterize: null,
+    dithering: null
+  },
+  globalPalette: false,
+  paletteColors: 256,
+  paletteSampleFrames: 16,
+  autoFormats: null,
+  minSsim: 0.95,
+  players: null,
+  jpegSettings: {
+    quality: 80
+  },
+  presets: {
+    "web-small": builtInPresets["web-small"],
+    "mobile-hd": builtInPresets["mobile-hd"]
+  }
+};
+
+// Look for a config file in the directory and its parents
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const fileName of configFileNames) {
+      const filePath = path.join(dir, fileName);
+      if (fs.existsSync(filePath)) return filePath;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Read a config file; input/output/segmentsFile paths are resolved relative to the file
+function loadConfigFile(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let config;
+
+  try {
+    config = resolvedPath.endsWith(".js") ?
+      require(resolvedPath) :
+      JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read config file ${resolvedPath}: ${error.message}`);
+  }
+
+  const configDir = path.dirname(resolvedPath);
+  const resolved = { ...config };
+  for (const key of ["input", "output", "segmentsFile"]) {
+    if (typeof resolved[key] === "string") {
+      resolved[key] = path.resolve(configDir, resolved[key]);
+    }
+  }
+
+  return resolved;
+}
+
+// Fold shorthand encoder keys (webpQuality, pngQuality, ...) into their nested
+// settings objects, so that merging respects precedence per field whichever form
+// each layer uses. Within one layer the shorthand wins, as in optimizeImages.
+function normalizeSettings(settings) {
+  const normalized = { ...settings };
+
+  for (const [key, [group, field]] of Object.entries(shorthandSettings)) {
+    if (!(key in normalized)) continue;
+
+    const value = normalized[key];
+    delete normalized[key];
+    if (value !== null && value !== undefined) {
+      normalized[group] = { ...normalized[group], [field]: value };
+    }
+  }
+
+  return normalized;
+}
+
+// Merge nested settings objects (webpSettings, pngSettings, jpegSettings) instead of
+// replacing them, after folding each side's shorthand keys into them
+function mergeConfig(base, overrides) {
+  const merged = normalizeSettings(base);
+
+  for (const [key, value] of Object.entries(normalizeSettings(overrides))) {
+    const isPlainObject = value && typeof value === "object" && !Array.isArray(value);
+    merged[key] = isPlainObject && merged[key] && typeof merged[key] === "object" ?
+      { ...merged[key], ...value } :
+      value;
+  }
+
+  return merged;
+}
+
+// Resolve a preset by name from the config file's presets or the built-ins.
+// Presets may extend another preset with "extends".
+function resolvePreset(name, presets, seen = []) {
+  const preset = presets[name] || builtInPresets[name];
+
+  if (!preset) {
+    const available = [...new Set([...Object.keys(presets), ...Object.keys(builtInPresets)])];
+    throw new Error(`Unknown preset "${name}". Available presets: ${available.join(", ")}`);
+  }
+  if (seen.includes(name)) {
+    throw new Error(`Preset "${name}" extends itself: ${[...seen, name].join(" → ")}`);
+  }
+
+  const { extends: parentName, ...settings } = preset;
+  return parentName ?
+    mergeConfig(resolvePreset(parentName, presets, [...seen, name]), settings) :
+    settings;
+}
+
+// Combine config file settings, a preset and explicit overrides (e.g. CLI flags).
+// Precedence: overrides > preset > config file, per setting (shorthand encoder
+// keys are normalized into their nested settings before merging).
+function resolveConfig(fileConfig = {}, presetName = null, overrides = {}) {
+  const { presets = {}, preset: defaultPreset = null, ...settings } = fileConfig;
+  const activePreset = presetName || defaultPreset;
+
+  let config = settings;
+  if (activePreset) {
+    config = mergeConfig(config, resolvePreset(activePreset, presets));
+  }
+
+  return { config: mergeConfig(config, overrides), preset: activePreset };
+}
+
+// Write a starter config file (JSON or CommonJS) into a directory
+function writeConfigTemplate(dir, format = "json") {
+  const fileName = format === "js" ? "camelottie.config.js" : "camelottie.config.json";
+  const filePath = path.join(dir, fileName);
+  const json = JSON.stringify(configTemplate, null, 2);
+
+  fs.writeFileSync(filePath, format === "js" ? `module.exports = ${json};\n` : `${json}\n`);
+  return filePath;
+}
+
+module.exports = {
+  builtInPresets,
+  configFileNames,
+  findConfigFile,
+  loadConfigFile,
+  mergeConfig,
+  resolveConfig,
+  writeConfigTemplate
+};
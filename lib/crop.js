@@ -0,0 +1,89 @@
+// Crop regions in source pixels: explicit rectangles and auto-trim to visible content
+const path = require("path");
+const sharp = require("sharp");
+const { mapWithConcurrency } = require("./pool");
+
+const gravities = ["center", "north", "northeast", "east", "southeast", "south", "southwest", "west", "northwest"];
+
+// Resolve a crop rectangle (source pixels) for a frame of the given size. Explicit
+// x/y offsets win over gravity; the rectangle is clamped to the frame.
+function resolveCropRegion(sourceWidth, sourceHeight, crop) {
+  const { width = null, height = null, x = null, y = null, gravity = "center" } = crop;
+
+  if (!gravities.includes(gravity)) {
+    throw new Error(`Unknown crop gravity "${gravity}". Use one of: ${gravities.join(", ")}`);
+  }
+
+  const left = x === null ? null : Math.max(0, Math.min(sourceWidth - 1, x));
+  const top = y === null ? null : Math.max(0, Math.min(sourceHeight - 1, y));
+  const cropWidth = Math.min(width || sourceWidth, sourceWidth - (left || 0));
+  const cropHeight = Math.min(height || sourceHeight, sourceHeight - (top || 0));
+
+  // Place along each axis by gravity: west/north = start, east/south = end, otherwise centered
+  const place = (free, startSide, endSide) => {
+    if (gravity.includes(startSide)) return 0;
+    if (gravity.includes(endSide)) return free;
+    return Math.floor(free / 2);
+  };
+
+  return {
+    left: left === null ? place(sourceWidth - cropWidth, "west", "east") : left,
+    top: top === null ? place(sourceHeight - cropHeight, "north", "south") : top,
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+// Bounding box of pixels with alpha above the threshold (null = fully transparent)
+async function getOpaqueBounds(imagePath, alphaThreshold) {
+  const { data, info } = await sharp(imagePath)
+    .ensureAlpha()
+    .extractChannel(3)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let minX = info.width, minY = info.height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < info.height; y++) {
+    const row = y * info.width;
+    for (let x = 0; x < info.width; x++) {
+      if (data[row + x] > alphaThreshold) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { left: minX, top: minY, right: maxX + 1, bottom: maxY + 1 };
+}
+
+// Union of every frame's non-transparent bounds, grown by padding and clamped to
+// the frame, so the whole sequence can be cropped to one rectangle.
+// Returns null when every frame is fully transparent.
+async function findTrimRegion(inputDir, files, options = {}) {
+  const { sourceWidth, sourceHeight, padding = 0, alphaThreshold = 0, concurrency = 1 } = options;
+
+  const frameBounds = await mapWithConcurrency(files, concurrency, (file) =>
+    getOpaqueBounds(path.join(inputDir, file), alphaThreshold));
+
+  const union = frameBounds.filter(Boolean).reduce((total, bounds) => total ? {
+    left: Math.min(total.left, bounds.left),
+    top: Math.min(total.top, bounds.top),
+    right: Math.max(total.right, bounds.right),
+    bottom: Math.max(total.bottom, bounds.bottom)
+  } : bounds, null);
+
+  if (!union) return null;
+
+  const left = Math.max(0, union.left - padding);
+  const top = Math.max(0, union.top - padding);
+  const right = Math.min(sourceWidth, union.right + padding);
+  const bottom = Math.min(sourceHeight, union.bottom + padding);
+
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+module.exports = { gravities, resolveCropRegion, findTrimRegion };
@@ -0,0 +1,100 @@
+// dotLottie (.lottie) package writer and reader
+const fs = require("fs");
+const path = require("path");
+const { createZip, readZip } = require("./zip");
+
+const extensionsByMimeType = {
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/jpeg": ".jpg"
+};
+
+// Package a Lottie animation as a .lottie ZIP (manifest.json, animations/, images/).
+// Embedded data URIs and external files are both stored as binary images, so the
+// package carries no base64 overhead.
+function writeDotLottie(lottieData, filePath, options = {}) {
+  const {
+    animationId = "animation",
+    assetsDir = path.dirname(filePath), // Where external (e: 0) assets are resolved from
+    loop = true,
+    autoplay = true,
+    speed = 1
+  } = options;
+
+  const images = [];
+  const assets = lottieData.assets.map(asset => {
+    // Precomp assets have no image data
+    if (!asset.p) return asset;
+
+    let data;
+    let extension;
+    const dataUri = /^data:([^;]+);base64,(.*)$/.exec(asset.p);
+
+    if (dataUri) {
+      data = Buffer.from(dataUri[2], "base64");
+      extension = extensionsByMimeType[dataUri[1]] || "";
+    } else {
+      data = fs.readFileSync(path.join(assetsDir, asset.u || "", asset.p));
+      extension = path.extname(asset.p);
+    }
+
+    const fileName = `${asset.id}${extension}`;
+    images.push({ name: `images/${fileName}`, data });
+
+    return { ...asset, u: "/images/", p: fileName, e: 0 };
+  });
+
+  const manifest = {
+    version: "1",
+    generator: "Camelottie",
+    author: "",
+    revision: 1,
+    animations: [{
+      id: animationId,
+      speed,
+      loop,
+      autoplay,
+      direction: 1,
+      playMode: "normal"
+    }],
+    activeAnimationId: animationId
+  };
+
+  const archive = createZip([
+    { name: "manifest.json", data: JSON.stringify(manifest, null, 2) },
+    { name: `animations/${animationId}.json`, data: JSON.stringify({ ...lottieData, assets }) },
+    ...images
+  ]);
+
+  fs.writeFileSync(filePath, archive);
+
+  return { size: archive.length, imageCount: images.length };
+}
+
+// Read a .lottie package: its manifest, the active (or first) animation and every
+// file in the archive by name
+function readDotLottie(filePath) {
+  const files = new Map(readZip(fs.readFileSync(filePath)).map(entry => [entry.name, entry.data]));
+
+  if (!files.has("manifest.json")) {
+    throw new Error(`${filePath} has no manifest.json`);
+  }
+
+  const manifest = JSON.parse(files.get("manifest.json").toString("utf8"));
+  const animations = manifest.animations || [];
+  const animationId = manifest.activeAnimationId || (animations[0] && animations[0].id);
+  const animationFile = `animations/${animationId}.json`;
+
+  if (!files.has(animationFile)) {
+    throw new Error(`${filePath} has no ${animationFile}`);
+  }
+
+  return {
+    manifest,
+    animationId,
+    lottieData: JSON.parse(files.get(animationFile).toString("utf8")),
+    files
+  };
+}
+
+module.exports = { writeDotLottie, readDotLottie };
@@ -0,0 +1,279 @@
+// Reverse conversion: render the image layers of a Lottie animation back into
+// raw RGBA frames. Supports what image-sequence animations and compositions use —
+// image, precomp, solid and null layers with position, anchor, scale and opacity
+// (static, hold or linear keyframes) and parenting. Other layer types are skipped
+// with a warning.
+const sharp = require("sharp");
+const { layerTypes, isPrecompAsset, isImageAsset, describeLayer } = require("./inspect");
+const { parseColor } = require("./key");
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Value of an animatable property at a frame: static, or keyframed with hold
+// and linear interpolation (bezier easing is approximated as linear)
+function propertyValue(property, frame, fallback) {
+  if (!property || property.k === undefined) return fallback;
+  if (!property.a) return property.k;
+
+  const keyframes = property.k;
+  if (!Array.isArray(keyframes) || keyframes.length === 0) return fallback;
+  if (frame <= keyframes[0].t) return keyframes[0].s ?? fallback;
+
+  for (let index = 0; index < keyframes.length - 1; index++) {
+    const keyframe = keyframes[index];
+    const next = keyframes[index + 1];
+    if (frame >= next.t) continue;
+
+    // Older exports put the end value on the keyframe ("e") instead of the next one
+    const start = keyframe.s;
+    const end = next.s !== undefined ? next.s : keyframe.e;
+    if (keyframe.h === 1 || start === undefined || end === undefined) return start ?? fallback;
+
+    const progress = (frame - keyframe.t) / (next.t - keyframe.t);
+    return Array.isArray(start) ?
+      start.map((value, channel) => value + (end[channel] - value) * progress) :
+      start + (end - start) * progress;
+  }
+
+  // Past the last keyframe (older exports end with one that only has "t")
+  const last = keyframes[keyframes.length - 1];
+  return last.s ?? (keyframes.length > 1 ? keyframes[keyframes.length - 2].e : undefined) ?? fallback;
+}
+
+// True when a property has keyframes with bezier easing (anything but hold or linear)
+function hasEasing(property) {
+  if (!property || !property.a || !Array.isArray(property.k)) return false;
+  return property.k.some(keyframe => keyframe.h !== 1 && keyframe.o && keyframe.i &&
+    !(firstValue(keyframe.o.x) === firstValue(keyframe.o.y) && firstValue(keyframe.i.x) === firstValue(keyframe.i.y)));
+}
+
+// Layer transform at a frame, as scale + translation from layer to parent space
+function layerTransform(layer, frame, where) {
+  const ks = layer.ks || {};
+  const anchor = propertyValue(ks.a, frame, [0, 0]);
+  const scale = propertyValue(ks.s, frame, [100, 100]);
+  const rotation = firstValue(propertyValue(ks.r || ks.rz, frame, 0)) || 0;
+
+  // Position may be split into separate x and y properties
+  const position = ks.p && ks.p.s ?
+    [firstValue(propertyValue(ks.p.x, frame, 0)), firstValue(propertyValue(ks.p.y, frame, 0))] :
+    propertyValue(ks.p, frame, [0, 0]);
+
+  if (rotation % 360 !== 0) {
+    throw new Error(`${where}: rotated layers can't be extracted (rotation ${rotation}°)`);
+  }
+
+  const scaleX = scale[0] / 100;
+  const scaleY = scale[1] / 100;
+  if (scaleX < 0 || scaleY < 0) {
+    throw new Error(`${where}: mirrored layers (negative scale) can't be extracted`);
+  }
+
+  return { scaleX, scaleY, x: position[0] - anchor[0] * scaleX, y: position[1] - anchor[1] * scaleY };
+}
+
+// Apply `inner` (child space → parent space) and then `outer`
+function combine(outer, inner) {
+  return {
+    scaleX: outer.scaleX * inner.scaleX,
+    scaleY: outer.scaleY * inner.scaleY,
+    x: outer.x + inner.x * outer.scaleX,
+    y: outer.y + inner.y * outer.scaleY
+  };
+}
+
+function intersect(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return { left: Math.max(a.left, b.left), top: Math.max(a.top, b.top), right: Math.min(a.right, b.right), bottom: Math.min(a.bottom, b.bottom) };
+}
+
+// Draw `image` (raw RGBA, straight alpha) over `canvas` at left/top, within clip
+function drawImage(canvas, canvasWidth, canvasHeight, image, imageWidth, imageHeight, { left, top, opacity, clip }) {
+  const minX = Math.max(0, left, clip ? Math.ceil(clip.left) : 0);
+  const minY = Math.max(0, top, clip ? Math.ceil(clip.top) : 0);
+  const maxX = Math.min(canvasWidth, left + imageWidth, clip ? Math.floor(clip.right) : canvasWidth);
+  const maxY = Math.min(canvasHeight, top + imageHeight, clip ? Math.floor(clip.bottom) : canvasHeight);
+
+  for (let y = minY; y < maxY; y++) {
+    for (let x = minX; x < maxX; x++) {
+      const source = ((y - top) * imageWidth + (x - left)) * 4;
+      const target = (y * canvasWidth + x) * 4;
+      const sourceAlpha = image[source + 3] / 255 * opacity;
+      if (sourceAlpha === 0) continue;
+
+      const targetAlpha = canvas[target + 3] / 255;
+      const alpha = sourceAlpha + targetAlpha * (1 - sourceAlpha);
+
+      for (let channel = 0; channel < 3; channel++) {
+        canvas[target + channel] = Math.round(
+          (image[source + channel] * sourceAlpha + canvas[target + channel] * targetAlpha * (1 - sourceAlpha)) / alpha);
+      }
+      canvas[target + 3] = Math.round(alpha * 255);
+    }
+  }
+}
+
+// Renderer for an opened animation (see openAnimation). render(frame) resolves
+// with { key, data }: raw RGBA pixels at width × height, and a key that is equal
+// for frames that draw exactly the same images in the same places. When the key
+// matches previousKey, nothing is drawn and data is null.
+// onWarning is called once per unsupported feature.
+function createFrameRenderer(animation, { scale = 1, onWarning = () => {} } = {}) {
+  const { lottieData } = animation;
+  const outputScale = Math.max(0.01, parseFloat(scale) || 1);
+  const width = Math.max(1, Math.round(lottieData.w * outputScale));
+  const height = Math.max(1, Math.round(lottieData.h * outputScale));
+  const assetsById = new Map((lottieData.assets || []).map(asset => [asset.id, asset]));
+  const warned = new Set();
+  // Decoded pixels of the assets drawn in the last rendered frame, by asset and
+  // drawn size. Consecutive frames mostly share them; anything older is dropped,
+  // so memory stays bounded by one frame's draws however long the sequence is.
+  let pixelCache = new Map();
+
+  const warnOnce = (message) => {
+    if (warned.has(message)) return;
+    warned.add(message);
+    onWarning(message);
+  };
+
+  // Image layers visible at `frame` in a composition, bottom first, with their
+  // placement in output pixels
+  const collectDraws = (layers, frame, outer, opacity, clip, compositionName, draws) => {
+    const byIndex = new Map(layers.filter(layer => layer.ind !== undefined).map(layer => [layer.ind, layer]));
+
+    const transformOf = (layer, index, depth = 0) => {
+      const where = `${compositionName}: ${describeLayer(layer, index)}`;
+      const own = layerTransform(layer, frame, where);
+      const parent = layer.parent !== undefined ? byIndex.get(layer.parent) : null;
+      if (!parent || depth > layers.length) return own;
+      return combine(transformOf(parent, layers.indexOf(parent), depth + 1), own);
+    };
+
+    // Lottie draws the first layer on top
+    for (let index = layers.length - 1; index >= 0; index--) {
+      const layer = layers[index];
+      const where = `${compositionName}: ${describeLayer(layer, index)}`;
+
+      if (layer.hd || layer.td) continue; // Hidden, or a track matte source
+      if (frame < layer.ip || frame >= layer.op) continue;
+
+      const ks = layer.ks || {};
+      [ks.a, ks.p, ks.s, ks.o].forEach(property => {
+        if (hasEasing(property)) warnOnce(`${where}: eased keyframes are interpolated linearly`);
+      });
+      if (layer.tt) warnOnce(`${where}: track mattes are ignored`);
+
+      if (layer.ty === 3) continue; // Null layers only parent others
+      if (layer.ty !== 2 && layer.ty !== 0 && layer.ty !== 1) {
+        warnOnce(`${where}: ${layerTypes[layer.ty] || `type ${layer.ty}`} layers aren't rendered (image, precomp and solid layers only)`);
+        continue;
+      }
+
+      // Solids are drawn like an image of their colour
+      const asset = layer.ty === 1 ? { id: `solid ${layer.sc}`, w: layer.sw, h: layer.sh, color: parseColor(layer.sc) } : assetsById.get(layer.refId);
+      if (!asset) {
+        throw new Error(`${where}: refId "${layer.refId}" doesn't match any asset`);
+      }
+
+      const transform = combine(outer, transformOf(layer, index));
+      const layerOpacity = opacity * Math.max(0, Math.min(100, firstValue(propertyValue(ks.o, frame, 100)))) / 100;
+      if (layerOpacity === 0) continue;
+
+      if (layer.ty === 0) {
+        if (!isPrecompAsset(asset)) throw new Error(`${where}: precomp layer refers to non-precomp asset "${layer.refId}"`);
+        if (layer.tm) warnOnce(`${where}: time remapping is ignored`);
+
+        // Children run on the precomp's own clock and are clipped to its size
+        const childFrame = (frame - (layer.st || 0)) / (layer.sr || 1);
+        const bounds = layer.w && layer.h ? {
+          left: transform.x,
+          top: transform.y,
+          right: transform.x + layer.w * transform.scaleX,
+          bottom: transform.y + layer.h * transform.scaleY
+        } : null;
+        collectDraws(asset.layers, childFrame, transform, layerOpacity, intersect(clip, bounds), `Precomp "${asset.id}"`, draws);
+        continue;
+      }
+
+      if (layer.ty === 2 && !isImageAsset(asset)) throw new Error(`${where}: image layer refers to non-image asset "${layer.refId}"`);
+
+      const left = Math.round(transform.x);
+      const top = Math.round(transform.y);
+      draws.push({
+        asset,
+        left,
+        top,
+        width: Math.round(transform.x + asset.w * transform.scaleX) - left,
+        height: Math.round(transform.y + asset.h * transform.scaleY) - top,
+        opacity: layerOpacity,
+        clip
+      });
+    }
+
+    return draws;
+  };
+
+  // Decoded asset pixels (or a solid's colour) at a drawn size
+  const decodePixels = async (asset, drawWidth, drawHeight) => {
+    if (asset.color) {
+      const pixels = Buffer.alloc(drawWidth * drawHeight * 4);
+      for (let offset = 0; offset < pixels.length; offset += 4) {
+        pixels.set([...asset.color, 255], offset);
+      }
+      return pixels;
+    }
+
+    const { location, data } = animation.readImage(asset);
+    if (!data) throw new Error(`Asset "${asset.id}": image file not found: ${location} (set assetsDir if the images are elsewhere)`);
+
+    return sharp(data)
+      .resize(drawWidth, drawHeight, { fit: "fill" })
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+  };
+
+  // Pixels for one draw, reused from the previous frame when it drew the same
+  // asset at the same size; `drawn` collects this frame's
+  const readPixels = async (asset, drawWidth, drawHeight, drawn) => {
+    const cacheKey = `${asset.id}:${drawWidth}x${drawHeight}`;
+    if (!drawn.has(cacheKey)) {
+      drawn.set(cacheKey, pixelCache.get(cacheKey) || await decodePixels(asset, drawWidth, drawHeight));
+    }
+    return drawn.get(cacheKey);
+  };
+
+  const render = async (frame, previousKey = null) => {
+    const root = { scaleX: outputScale, scaleY: outputScale, x: 0, y: 0 };
+    const draws = collectDraws(lottieData.layers || [], frame, root, 1, null, "Root", [])
+      .filter(draw => draw.width > 0 && draw.height > 0);
+
+    const clipKey = (clip) => clip && [clip.left, clip.top, clip.right, clip.bottom].map(Math.round);
+    const key = JSON.stringify(draws.map(draw => [draw.asset.id, draw.left, draw.top, draw.width, draw.height, draw.opacity, clipKey(draw.clip)]));
+    if (key === previousKey) return { key, data: null };
+
+    const canvas = Buffer.alloc(width * height * 4);
+    const drawn = new Map();
+    for (const draw of draws) {
+      const pixels = await readPixels(draw.asset, draw.width, draw.height, drawn);
+      drawImage(canvas, width, height, pixels, draw.width, draw.height, draw);
+    }
+    pixelCache = drawn;
+
+    return { key, data: canvas };
+  };
+
+  return {
+    width,
+    height,
+    frameRate: lottieData.fr,
+    firstFrame: lottieData.ip,
+    frameCount: Math.max(0, Math.ceil(lottieData.op - lottieData.ip)),
+    render
+  };
+}
+
+module.exports = { createFrameRenderer };
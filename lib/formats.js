@@ -0,0 +1,146 @@
+// Output image formats: codec table, player compatibility and the SSIM quality metric
+const path = require("path");
+
+const formats = {
+  png: { label: "PNG", extension: ".png", mimeType: "image/png", alpha: true },
+  webp: { label: "WebP", extension: ".webp", mimeType: "image/webp", alpha: true },
+  jpeg: { label: "JPEG", extension: ".jpg", mimeType: "image/jpeg", alpha: false }
+};
+
+// Image formats each Lottie player can decode
+const playerFormats = {
+  web: ["png", "webp", "jpeg"], // lottie-web in current browsers
+  "web-legacy": ["png", "jpeg"], // Safari before 14 has no WebP
+  android: ["png", "webp", "jpeg"], // lottie-android
+  ios: ["png", "webp", "jpeg"], // lottie-ios on iOS 14+
+  "ios-legacy": ["png", "jpeg"] // lottie-ios on iOS 13 and older has no WebP decoder
+};
+
+// "png,jpeg" or ["png", "jpeg"] → ["png", "jpeg"]; null when unset
+function parseList(value) {
+  if (!value || value.length === 0) return null;
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map(item => String(item).trim().toLowerCase())
+    .map(item => item === "jpg" ? "jpeg" : item);
+}
+
+// Formats a run may write: the requested format, or for "auto" the autoFormats
+// list (default: all), limited to what every target player can decode
+function resolveOutputFormats(format, { autoFormats = null, players = null } = {}) {
+  const requested = format === "jpg" ? "jpeg" : format;
+  if (requested !== "auto" && !formats[requested]) {
+    throw new Error(`Unknown format "${format}". Use one of: ${Object.keys(formats).join(", ")}, auto`);
+  }
+
+  let supported = Object.keys(formats);
+  for (const player of parseList(players) || []) {
+    if (!playerFormats[player]) {
+      throw new Error(`Unknown player "${player}". Use one of: ${Object.keys(playerFormats).join(", ")}`);
+    }
+    if (requested !== "auto" && !playerFormats[player].includes(requested)) {
+      throw new Error(`${formats[requested].label} isn't supported by ${player} players; use --format auto or another format`);
+    }
+    supported = supported.filter(name => playerFormats[player].includes(name));
+  }
+
+  if (requested !== "auto") return [requested];
+
+  const candidates = parseList(autoFormats) || Object.keys(formats);
+  for (const name of candidates) {
+    if (!formats[name]) {
+      throw new Error(`Unknown format "${name}" in autoFormats. Use: ${Object.keys(formats).join(", ")}`);
+    }
+  }
+
+  const allowed = candidates.filter(name => supported.includes(name));
+  if (!allowed.some(name => formats[name].alpha)) {
+    throw new Error(`Auto format needs PNG or WebP for frames with transparency (allowed: ${allowed.join(", ") || "none"})`);
+  }
+
+  return allowed;
+}
+
+// Format of an optimized frame from its file name
+function getFormatFromFile(fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === ".jpeg") return "jpeg";
+  return Object.keys(formats).find(name => formats[name].extension === extension) || null;
+}
+
+function getMimeType(fileName) {
+  const format = getFormatFromFile(fileName);
+  return format ? formats[format].mimeType : "application/octet-stream";
+}
+
+// True when any pixel of a raw RGBA buffer isn't fully opaque
+function hasTransparency(data) {
+  for (let offset = 3; offset < data.length; offset += 4) {
+    if (data[offset] < 255) return true;
+  }
+  return false;
+}
+
+// Mean SSIM of one channel over 8×8 windows (stride 4)
+function channelSsim(a, b, width, height, sample) {
+  const windowSize = Math.min(8, width, height);
+  const stride = Math.max(1, windowSize >> 1);
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  const count = windowSize * windowSize;
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top + windowSize <= height; top += stride) {
+    for (let left = 0; left + windowSize <= width; left += stride) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+      for (let y = top; y < top + windowSize; y++) {
+        for (let x = left; x < left + windowSize; x++) {
+          const offset = (y * width + x) * 4;
+          const valueA = sample(a, offset);
+          const valueB = sample(b, offset);
+          sumA += valueA;
+          sumB += valueB;
+          sumAA += valueA * valueA;
+          sumBB += valueB * valueB;
+          sumAB += valueA * valueB;
+        }
+      }
+
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varianceA = sumAA / count - meanA * meanA;
+      const varianceB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+
+      total += ((2 * meanA * meanB + c1) * (2 * covariance + c2)) /
+        ((meanA * meanA + meanB * meanB + c1) * (varianceA + varianceB + c2));
+      windows++;
+    }
+  }
+
+  return windows === 0 ? 1 : total / windows;
+}
+
+// Structural similarity (0-1, 1 = identical) of two raw RGBA frames of the same
+// size. Compares luma premultiplied by alpha, and alpha itself for frames with
+// transparency; the lower of the two counts.
+function computeSsim(a, b, width, height) {
+  const luma = (data, offset) =>
+    (0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]) * data[offset + 3] / 255;
+  const lumaSsim = channelSsim(a, b, width, height, luma);
+
+  if (!hasTransparency(a) && !hasTransparency(b)) return lumaSsim;
+  return Math.min(lumaSsim, channelSsim(a, b, width, height, (data, offset) => data[offset + 3]));
+}
+
+module.exports = {
+  formats,
+  playerFormats,
+  parseList,
+  resolveOutputFormats,
+  getFormatFromFile,
+  getMimeType,
+  hasTransparency,
+  computeSsim
+};
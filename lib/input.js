@@ -0,0 +1,351 @@
+// Input detection and frame extraction for animated images and image sequences
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+
+const videoTypes = ["mp4", "mov", "webm", "avi"];
+const animatedTypes = ["gif", "apng", "webp-animated"];
+const stillTypes = ["png", "jpeg", "webp"];
+
+const typeLabels = {
+  sequence: "Image sequence",
+  mp4: "MP4 video",
+  mov: "MOV video",
+  webm: "WebM video",
+  avi: "AVI video",
+  gif: "GIF animation",
+  apng: "APNG animation",
+  "webp-animated": "Animated WebP",
+  png: "PNG image",
+  jpeg: "JPEG image",
+  webp: "WebP image",
+  avif: "AVIF image",
+  heif: "HEIF image",
+  zip: "ZIP archive"
+};
+
+// ISO-BMFF (ftyp) brands: MP4/QuickTime video, or AVIF/HEIF stills
+const brandTypes = {
+  "qt  ": "mov",
+  avif: "avif",
+  avis: "avif",
+  heic: "heif",
+  heix: "heif",
+  heim: "heif",
+  heis: "heif",
+  hevc: "heif",
+  hevx: "heif",
+  mif1: "heif",
+  msf1: "heif"
+};
+for (const brand of ["isom", "iso2", "iso4", "iso5", "iso6", "mp41", "mp42", "mp71", "avc1", "M4V ", "M4VH", "M4VP",
+  "dash", "f4v ", "MSNV", "XAVC", "3gp4", "3gp5", "3gp6", "3g2a"]) {
+  brandTypes[brand] = "mp4";
+}
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Walk PNG chunks until the first IDAT, returning true if an acTL (animation) chunk is found
+function hasApngControlChunk(fd) {
+  let position = 8;
+
+  while (true) {
+    const header = readBytes(fd, position, 8);
+    if (header.length < 8) return false;
+
+    const chunkType = header.toString("ascii", 4, 8);
+    if (chunkType === "acTL") return true;
+    if (chunkType === "IDAT" || chunkType === "IEND") return false;
+
+    position += 12 + header.readUInt32BE(0); // length + type + data + CRC
+  }
+}
+
+// Type from an ftyp box's major brand, else from its compatible brands
+// (null when none is known)
+function getFtypType(fd, boxSize) {
+  const box = readBytes(fd, 0, Math.min(Math.max(boxSize, 16), 256));
+  const majorBrand = box.toString("ascii", 8, 12);
+  const compatibleTypes = [];
+  for (let offset = 16; offset + 4 <= box.length; offset += 4) {
+    compatibleTypes.push(brandTypes[box.toString("ascii", offset, offset + 4)]);
+  }
+
+  // Generic HEIF brands: AVIF when a compatible brand says so
+  if (majorBrand === "mif1" || majorBrand === "msf1") {
+    return compatibleTypes.includes("avif") ? "avif" : "heif";
+  }
+
+  return brandTypes[majorBrand] || compatibleTypes.find(Boolean) || null;
+}
+
+// Detect a file's type from its content (magic bytes), not its extension
+function detectFileType(filePath) {
+  const fd = fs.openSync(filePath, "r");
+
+  try {
+    const header = readBytes(fd, 0, 32);
+    if (header.length < 12) return null;
+
+    if (header.readUInt32BE(0) === 0x89504e47) {
+      return hasApngControlChunk(fd) ? "apng" : "png";
+    }
+    if (header.toString("ascii", 0, 6) === "GIF87a" || header.toString("ascii", 0, 6) === "GIF89a") {
+      return "gif";
+    }
+    if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+      return "jpeg";
+    }
+    if (header.toString("ascii", 0, 4) === "RIFF") {
+      const format = header.toString("ascii", 8, 12);
+      if (format === "AVI ") return "avi";
+      if (format === "WEBP") {
+        // Extended format (VP8X) carries an animation flag
+        const isAnimated = header.toString("ascii", 12, 16) === "VP8X" && (header[20] & 0x02) !== 0;
+        return isAnimated ? "webp-animated" : "webp";
+      }
+    }
+    if (header.readUInt32BE(0) === 0x1a45dfa3) {
+      return "webm"; // Matroska/WebM (EBML header)
+    }
+    if (header.readUInt32BE(0) === 0x504b0304) {
+      return "zip"; // Local file header (e.g. zipped frames)
+    }
+
+    const boxType = header.toString("ascii", 4, 8);
+    if (boxType === "ftyp") {
+      return getFtypType(fd, header.readUInt32BE(0));
+    }
+    if (["moov", "mdat", "wide", "free", "skip", "pnot"].includes(boxType)) {
+      return "mov";
+    }
+
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Detect the kind of input: an image sequence folder, a video or an animated image
+function detectInputType(inputPath) {
+  if (fs.statSync(inputPath).isDirectory()) {
+    return { type: "sequence", kind: "sequence", label: typeLabels.sequence };
+  }
+
+  const type = detectFileType(inputPath);
+  const kind = videoTypes.includes(type) ? "video" :
+               animatedTypes.includes(type) ? "animated" :
+               stillTypes.includes(type) ? "still" : null;
+
+  return { type, kind, label: typeLabels[type] || "Unknown" };
+}
+
+// Natural sort comparator: "frame_2" sorts before "frame_10", mixed padding is ignored
+function naturalCompare(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" }) || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Convert a printf-style frame pattern (e.g. "shot_%04d.png") into a RegExp
+// that captures the frame number
+function patternToRegExp(pattern) {
+  const placeholder = /%(0?)(\d*)d/g;
+  let source = "";
+  let lastIndex = 0;
+  let placeholders = 0;
+  let match;
+
+  while ((match = placeholder.exec(pattern))) {
+    source += escapeRegExp(pattern.slice(lastIndex, match.index));
+    source += match[1] && match[2] ? `(\\d{${match[2]},})` : "(\\d+)";
+    lastIndex = placeholder.lastIndex;
+    placeholders++;
+  }
+
+  if (placeholders !== 1) {
+    throw new Error(`Frame pattern must contain exactly one %d placeholder: ${pattern}`);
+  }
+
+  return new RegExp(`^${source}${escapeRegExp(pattern.slice(lastIndex))}$`);
+}
+
+// Frame number from a file name: the pattern's placeholder, or the last run of digits
+function getFrameNumber(file, matcher = null) {
+  const match = matcher ? matcher.exec(file) : /(\d+)(?!.*\d)/.exec(path.parse(file).name);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// List still images (PNG, JPEG, WebP) in a folder, detected by content, in natural
+// frame order. Returns [{ file, number }], optionally filtered by a printf-style
+// pattern and an inclusive frame number range.
+function listSequenceFrames(inputDir, options = {}) {
+  const { pattern = null, firstFrame = null, lastFrame = null } = options;
+  const matcher = pattern ? patternToRegExp(pattern) : null;
+  const hasRange = firstFrame !== null || lastFrame !== null;
+
+  return fs.readdirSync(inputDir)
+    .filter(file => {
+      const filePath = path.join(inputDir, file);
+      return fs.statSync(filePath).isFile() && stillTypes.includes(detectFileType(filePath));
+    })
+    .map(file => ({ file, number: getFrameNumber(file, matcher) }))
+    .filter(frame => (!matcher && !hasRange) || frame.number !== null)
+    .filter(frame => firstFrame === null || frame.number >= firstFrame)
+    .filter(frame => lastFrame === null || frame.number <= lastFrame)
+    .sort((a, b) => {
+      if (a.number !== null && b.number !== null && a.number !== b.number) {
+        return a.number - b.number;
+      }
+      return naturalCompare(a.file, b.file);
+    });
+}
+
+// Find missing and repeated frame numbers in a sorted sequence
+function findSequenceGaps(frames) {
+  const gaps = [];
+  const duplicates = [];
+  const numbered = frames.filter(frame => frame.number !== null);
+
+  for (let i = 1; i < numbered.length; i++) {
+    const previous = numbered[i - 1].number;
+    const current = numbered[i].number;
+
+    if (current === previous) {
+      duplicates.push({ number: current, files: [numbered[i - 1].file, numbered[i].file] });
+    } else if (current > previous + 1) {
+      gaps.push({ from: previous + 1, to: current - 1 });
+    }
+  }
+
+  return { gaps, duplicates };
+}
+
+// Playback order for a sequence; with fillGaps, the previous frame is held for
+// every missing frame number
+function buildSequenceTimeline(frames, fillGaps = false) {
+  const timeline = [];
+
+  frames.forEach((frame, index) => {
+    const previous = frames[index - 1];
+    if (fillGaps && previous && previous.number !== null && frame.number !== null) {
+      for (let missing = previous.number + 1; missing < frame.number; missing++) {
+        timeline.push(previous.file);
+      }
+    }
+    timeline.push(frame.file);
+  });
+
+  return timeline;
+}
+
+// Human-readable list of frame number ranges, e.g. "12-14, 30"
+function formatFrameRanges(ranges) {
+  return ranges.map(({ from, to }) => from === to ? `${from}` : `${from}-${to}`).join(", ");
+}
+
+// Read per-frame delays (ms) from APNG fcTL chunks
+function readApngDelays(filePath) {
+  const data = fs.readFileSync(filePath);
+  const delays = [];
+  let position = 8;
+
+  while (position + 8 <= data.length) {
+    const length = data.readUInt32BE(position);
+    const chunkType = data.toString("ascii", position + 4, position + 8);
+
+    if (chunkType === "fcTL") {
+      const delayNumerator = data.readUInt16BE(position + 8 + 20);
+      const delayDenominator = data.readUInt16BE(position + 8 + 22) || 100; // 0 means 1/100s
+      delays.push((delayNumerator / delayDenominator) * 1000);
+    }
+
+    position += 12 + length;
+  }
+
+  return delays;
+}
+
+// Decode every frame of an APNG with ffmpeg (libvips only reads the default image)
+function extractApngFrames(filePath, outputDir) {
+  const ffmpeg = require("fluent-ffmpeg");
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(filePath)
+      .outputOptions(["-vsync 0"]) // One output image per source frame
+      .output(path.join(outputDir, "frame_%06d.png"))
+      .on("end", resolve)
+      .on("error", reject)
+      .run();
+  });
+}
+
+// Source frame rate for per-frame delays (ms): the slowest rate whose frame
+// duration divides every delay to within 2ms, so mixed delays land on whole frames.
+// Capped at 60fps; delays that share no such step fall back to the shortest delay.
+function getDelayFrameRate(delays) {
+  const shortest = Math.min(...delays);
+
+  for (let divisor = 1; shortest / divisor >= 1000 / 60; divisor++) {
+    const step = shortest / divisor;
+    const fitsAll = delays.every(delay => Math.abs(delay - Math.round(delay / step) * step) <= 2);
+    if (fitsAll) return Math.round((1000 / step) * 1000) / 1000;
+  }
+
+  return Math.round(Math.min(60, 1000 / shortest) * 1000) / 1000;
+}
+
+// Extract the frames of a GIF, APNG or animated WebP as PNGs with their delays (ms)
+async function extractAnimatedFrames(filePath, type, outputDir, reporter) {
+  reporter.log(`🎞️  Extracting frames from ${typeLabels[type]}...`);
+
+  let delays;
+
+  if (type === "apng") {
+    await extractApngFrames(filePath, outputDir);
+    delays = readApngDelays(filePath);
+  } else {
+    // libvips composites GIF/WebP frames (disposal, blending) into full pages
+    const metadata = await sharp(filePath, { pages: -1 }).metadata();
+    const pageCount = metadata.pages || 1;
+
+    for (let page = 0; page < pageCount; page++) {
+      await sharp(filePath, { page })
+        .png()
+        .toFile(path.join(outputDir, `frame_${String(page + 1).padStart(6, "0")}.png`));
+      reporter.progress({ stage: "extracting", frame: page + 1, total: pageCount });
+    }
+
+    delays = metadata.delay || [];
+  }
+
+  const files = fs.readdirSync(outputDir).filter(f => f.endsWith(".png")).sort(naturalCompare);
+
+  // Browsers treat missing or zero delays as 100ms; pad to the frame count
+  const frameDelays = files.map((file, index) => {
+    const delay = delays[Math.min(index, delays.length - 1)];
+    return delay > 0 ? delay : 100;
+  });
+
+  reporter.log(`✅ Frame extraction complete: ${files.length} frames`);
+
+  return { files, delays: frameDelays };
+}
+
+module.exports = {
+  detectFileType,
+  detectInputType,
+  listSequenceFrames,
+  findSequenceGaps,
+  buildSequenceTimeline,
+  formatFrameRanges,
+  naturalCompare,
+  extractAnimatedFrames,
+  getDelayFrameRate
+};
@@ -0,0 +1,453 @@
+// Inspect and validate generated animations (animation.json or .lottie): stats,
+// per-asset image details, duplicate assets, schema and invariant checks
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { readDotLottie } = require("./dotlottie");
+const { readPublishedUrls } = require("./assets");
+
+const layerTypes = {
+  0: "precomp", 1: "solid", 2: "image", 3: "null", 4: "shape", 5: "text",
+  6: "audio", 13: "camera", 15: "data"
+};
+
+// Field types of the parts of the Lottie schema Camelottie writes ("?" = optional)
+const schema = {
+  animation: { v: "string", fr: "number", ip: "number", op: "number", w: "number", h: "number", layers: "array", assets: "array?", nm: "string?", ddd: "number?", markers: "array?" },
+  imageAsset: { id: "string", w: "number", h: "number", p: "string", u: "string?", e: "number?" },
+  precompAsset: { id: "string", layers: "array", nm: "string?", fr: "number?" },
+  layer: { ty: "number", ip: "number", op: "number", st: "number?", ind: "number?", nm: "string?", refId: "string?", sr: "number?", ks: "object?", ao: "number?", bm: "number?", ddd: "number?", parent: "number?", w: "number?", h: "number?", tm: "object?", sc: "string?", sw: "number?", sh: "number?" },
+  transform: { o: "object?", r: "object?", p: "object?", a: "object?", s: "object?" }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// Check an object's fields against a schema entry, adding messages to errors
+function checkFields(object, fields, where, errors) {
+  if (typeOf(object) !== "object") {
+    errors.push(`${where}: expected an object, found ${typeOf(object)}`);
+    return false;
+  }
+
+  let valid = true;
+  for (const [key, expected] of Object.entries(fields)) {
+    const optional = expected.endsWith("?");
+    const type = expected.replace("?", "");
+
+    if (object[key] === undefined) {
+      if (!optional) {
+        errors.push(`${where}: missing required "${key}"`);
+        valid = false;
+      }
+    } else if (typeOf(object[key]) !== type) {
+      errors.push(`${where}: "${key}" should be ${type}, found ${typeOf(object[key])}`);
+      valid = false;
+    }
+  }
+  return valid;
+}
+
+// Asset list, tolerating a missing or malformed "assets" (reported by the schema check)
+function getAssets(lottieData) {
+  return Array.isArray(lottieData.assets) ? lottieData.assets.filter(asset => typeOf(asset) === "object") : [];
+}
+
+function isPrecompAsset(asset) {
+  return Array.isArray(asset.layers);
+}
+
+function isImageAsset(asset) {
+  return !isPrecompAsset(asset) && typeof asset.p === "string";
+}
+
+function describeLayer(layer, index) {
+  return `Layer ${layer.ind ?? index + 1}${layer.nm ? ` "${layer.nm}"` : ""}`;
+}
+
+// Open an animation.json or .lottie file. readImage(asset) resolves an image
+// asset's bytes from its data URI, a file next to the JSON (or in assetsDir) or
+// the archive.
+function openAnimation(filePath, { assetsDir = null } = {}) {
+  const buffer = fs.readFileSync(filePath);
+
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    const { manifest, animationId, lottieData, files } = readDotLottie(filePath);
+
+    return {
+      type: "dotlottie",
+      fileSize: buffer.length,
+      manifest,
+      animationId,
+      archiveFiles: [...files.keys()],
+      lottieData,
+      readImage(asset) {
+        const dataUri = /^data:([^;]+);base64,(.*)$/.exec(asset.p);
+        if (dataUri) return { embedded: true, location: "embedded", data: Buffer.from(dataUri[2], "base64") };
+
+        const name = path.posix.join((asset.u || "").replace(/^\/+/, ""), asset.p);
+        return { embedded: false, location: name, data: files.get(name) || null };
+      }
+    };
+  }
+
+  let lottieData;
+  try {
+    lottieData = JSON.parse(buffer.toString("utf8"));
+  } catch (error) {
+    throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+  }
+
+  const baseDir = assetsDir || path.dirname(filePath);
+  const publishedUrls = readPublishedUrls(path.dirname(filePath));
+  return {
+    type: "json",
+    fileSize: buffer.length,
+    manifest: null,
+    lottieData,
+    readImage(asset) {
+      const dataUri = /^data:([^;]+);base64,(.*)$/.exec(asset.p);
+      if (dataUri) return { embedded: true, location: "embedded", data: Buffer.from(dataUri[2], "base64") };
+
+      // Images published to a base URL are read from their local copies (or assetsDir)
+      if (/^https?:\/\//i.test(asset.u || "")) {
+        const location = `${asset.u}${asset.p}`;
+        const imagePath = assetsDir ? path.join(assetsDir, asset.p) : publishedUrls.get(location);
+        return { embedded: false, location, data: imagePath && fs.existsSync(imagePath) ? fs.readFileSync(imagePath) : null };
+      }
+
+      const location = path.join(asset.u || "", asset.p);
+      const imagePath = path.join(baseDir, location);
+      return { embedded: false, location, data: fs.existsSync(imagePath) ? fs.readFileSync(imagePath) : null };
+    }
+  };
+}
+
+// Decode every image asset: format, pixel size, encoded and decoded bytes, and a
+// hash of the decoded pixels to find duplicates stored under different ids
+async function describeImages(animation) {
+  const assets = getAssets(animation.lottieData).filter(isImageAsset);
+  const images = [];
+
+  for (const asset of assets) {
+    const { embedded, location, data } = animation.readImage(asset);
+    const image = {
+      id: asset.id,
+      embedded,
+      location,
+      declaredWidth: asset.w,
+      declaredHeight: asset.h,
+      bytes: data ? data.length : 0,
+      missing: !data,
+      format: null,
+      width: null,
+      height: null,
+      hasAlpha: null,
+      decodedBytes: 0,
+      hash: null,
+      error: null
+    };
+
+    if (data) {
+      try {
+        const { data: pixels, info } = await sharp(data).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        const metadata = await sharp(data).metadata();
+        image.format = metadata.format;
+        image.width = info.width;
+        image.height = info.height;
+        image.hasAlpha = metadata.hasAlpha;
+        image.decodedBytes = pixels.length;
+        image.hash = crypto.createHash("sha1").update(`${info.width}x${info.height}`).update(pixels).digest("hex");
+      } catch (error) {
+        image.error = error.message;
+      }
+    }
+
+    images.push(image);
+  }
+
+  return images;
+}
+
+// Root layers plus the layers of every precomp, each with the composition they belong to
+function listCompositions(lottieData) {
+  const compositions = [{ id: null, layers: Array.isArray(lottieData.layers) ? lottieData.layers : [], width: lottieData.w, height: lottieData.h, ip: lottieData.ip, op: lottieData.op }];
+
+  for (const asset of getAssets(lottieData)) {
+    if (isPrecompAsset(asset)) {
+      compositions.push({ id: asset.id, layers: asset.layers, width: asset.w, height: asset.h, ip: null, op: null });
+    }
+  }
+
+  return compositions;
+}
+
+// Stats for an animation file: composition, layers, assets with their decoded
+// size and format, and groups of duplicate assets
+async function inspectAnimation(filePath) {
+  const animation = openAnimation(filePath);
+  const { lottieData } = animation;
+  const assets = getAssets(lottieData);
+  const images = await describeImages(animation);
+  const compositions = listCompositions(lottieData);
+
+  const layersByType = {};
+  for (const layer of compositions[0].layers) {
+    const type = layerTypes[layer.ty] || `type ${layer.ty}`;
+    layersByType[type] = (layersByType[type] || 0) + 1;
+  }
+
+  const formatCounts = {};
+  images.filter(image => image.format).forEach(image => {
+    formatCounts[image.format] = (formatCounts[image.format] || 0) + 1;
+  });
+
+  // Assets with identical pixels
+  const byHash = new Map();
+  images.filter(image => image.hash).forEach(image => {
+    byHash.set(image.hash, [...(byHash.get(image.hash) || []), image.id]);
+  });
+  const duplicates = [...byHash.values()].filter(ids => ids.length > 1);
+
+  const frames = lottieData.op - lottieData.ip;
+
+  return {
+    file: path.resolve(filePath),
+    type: animation.type,
+    fileSize: animation.fileSize,
+    version: lottieData.v,
+    name: lottieData.nm || null,
+    width: lottieData.w,
+    height: lottieData.h,
+    frameRate: lottieData.fr,
+    inPoint: lottieData.ip,
+    outPoint: lottieData.op,
+    frames,
+    duration: lottieData.fr > 0 ? frames / lottieData.fr : null,
+    markers: (Array.isArray(lottieData.markers) ? lottieData.markers : [])
+      .map(marker => ({ name: marker.cm, start: marker.tm, end: marker.tm + (marker.dr || 0) })),
+    layers: {
+      total: compositions[0].layers.length,
+      byType: layersByType,
+      nested: compositions.slice(1).reduce((total, composition) => total + composition.layers.length, 0)
+    },
+    assets: {
+      total: assets.length,
+      images: images.length,
+      precomps: assets.filter(isPrecompAsset).length,
+      embedded: images.filter(image => image.embedded).length,
+      external: images.filter(image => !image.embedded).length,
+      missing: images.filter(image => image.missing).length
+    },
+    images: images.map(({ hash, ...image }) => image),
+    formats: formatCounts,
+    totals: {
+      encodedBytes: images.reduce((total, image) => total + image.bytes, 0),
+      decodedBytes: images.reduce((total, image) => total + image.decodedBytes, 0)
+    },
+    duplicates,
+    manifest: animation.manifest ? { animationId: animation.animationId, ...animation.manifest } : null
+  };
+}
+
+// Structure checks against the schema subset, per composition and layer
+function checkStructure(lottieData, errors) {
+  if (!checkFields(lottieData, schema.animation, "Animation", errors)) return;
+
+  if (!(lottieData.fr > 0)) errors.push(`Animation: frame rate "fr" must be positive (found ${lottieData.fr})`);
+  if (!(lottieData.op > lottieData.ip)) errors.push(`Animation: out point ${lottieData.op} must be after in point ${lottieData.ip}`);
+  if (!(lottieData.w > 0 && lottieData.h > 0)) errors.push(`Animation: size must be positive (found ${lottieData.w}×${lottieData.h})`);
+
+  if (lottieData.markers !== undefined && !Array.isArray(lottieData.markers)) {
+    errors.push(`Animation: "markers" should be array, found ${typeOf(lottieData.markers)}`);
+  }
+  (Array.isArray(lottieData.markers) ? lottieData.markers : []).forEach((marker, index) => {
+    const where = `Marker ${marker && marker.cm ? `"${marker.cm}"` : index}`;
+    if (typeOf(marker) !== "object") {
+      errors.push(`${where}: expected an object, found ${typeOf(marker)}`);
+    } else if (typeof marker.tm !== "number" || (marker.dr !== undefined && !(marker.dr >= 0))) {
+      errors.push(`${where}: needs a frame "tm" and a non-negative duration "dr"`);
+    }
+  });
+
+  const ids = new Set();
+  (Array.isArray(lottieData.assets) ? lottieData.assets : []).forEach((asset, index) => {
+    const where = `Asset ${asset && asset.id ? `"${asset.id}"` : index}`;
+    if (typeOf(asset) !== "object") {
+      errors.push(`${where}: expected an object, found ${typeOf(asset)}`);
+      return;
+    }
+
+    checkFields(asset, isPrecompAsset(asset) ? schema.precompAsset : schema.imageAsset, where, errors);
+    if (asset.e !== undefined && asset.e !== 0 && asset.e !== 1) {
+      errors.push(`${where}: "e" must be 0 (external) or 1 (embedded), found ${asset.e}`);
+    }
+    if (ids.has(asset.id)) errors.push(`${where}: duplicate asset id`);
+    ids.add(asset.id);
+  });
+
+  for (const composition of listCompositions(lottieData)) {
+    const compositionName = composition.id ? `Precomp "${composition.id}"` : "Root";
+
+    composition.layers.forEach((layer, index) => {
+      const where = `${compositionName} ${describeLayer(layer || {}, index)}`;
+      if (!checkFields(layer, schema.layer, where, errors)) return;
+
+      if (!(layer.op > layer.ip)) errors.push(`${where}: out point ${layer.op} must be after in point ${layer.ip}`);
+      if ((layer.ty === 0 || layer.ty === 2) && layer.refId === undefined) errors.push(`${where}: ${layerTypes[layer.ty]} layer needs a "refId"`);
+      if (layer.ty === 0 && (layer.w === undefined || layer.h === undefined)) errors.push(`${where}: precomp layer needs "w" and "h"`);
+      if (layer.ty === 1 && !(/^#[0-9a-f]{6}$/i.test(layer.sc) && layer.sw > 0 && layer.sh > 0)) {
+        errors.push(`${where}: solid layer needs a colour "sc" (#rrggbb) and a positive size "sw" × "sh"`);
+      }
+
+      if (layer.ks !== undefined && checkFields(layer.ks, schema.transform, `${where} transform`, errors)) {
+        for (const [property, value] of Object.entries(layer.ks)) {
+          if (typeOf(value) === "object" && (value.a === 0 || value.a === 1) && value.k === undefined) {
+            errors.push(`${where} transform: "${property}" has no value "k"`);
+          } else if (typeOf(value) === "object" && value.a !== undefined && value.a !== 0 && value.a !== 1) {
+            errors.push(`${where} transform: "${property}.a" must be 0 (static) or 1 (animated)`);
+          }
+        }
+      }
+    });
+  }
+}
+
+// Check an animation file against the Lottie schema subset Camelottie writes and
+// its own invariants: refIds resolve, external images exist and decode, full-frame
+// image layers never overlap in time, and asset sizes match their images.
+// Resolves with { valid, errors, warnings } (never rejects for invalid files).
+async function validateAnimation(filePath) {
+  const errors = [];
+  const warnings = [];
+  const report = { file: path.resolve(filePath), type: null, valid: false, errors, warnings };
+
+  let animation;
+  try {
+    animation = openAnimation(filePath);
+  } catch (error) {
+    errors.push(error.message);
+    return report;
+  }
+
+  const { lottieData } = animation;
+  report.type = animation.type;
+
+  checkStructure(lottieData, errors);
+  if (errors.length > 0 && typeOf(lottieData) !== "object") return report;
+
+  const assets = getAssets(lottieData);
+  const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+  const usedAssets = new Set();
+
+  // Images: present, decodable and drawn at their own aspect ratio
+  const images = await describeImages(animation);
+
+  for (const image of images) {
+    const where = `Asset "${image.id}"`;
+    if (image.missing) {
+      errors.push(`${where}: ${image.embedded ? "empty embedded image" : `image file not found: ${image.location}`}`);
+    } else if (image.error) {
+      errors.push(`${where}: image can't be decoded (${image.error})`);
+    } else if (image.declaredWidth > 0 && image.declaredHeight > 0) {
+      const mismatch = Math.abs(image.width * image.declaredHeight - image.height * image.declaredWidth);
+      if (mismatch > Math.max(image.width, image.height)) {
+        errors.push(`${where}: declared ${image.declaredWidth}×${image.declaredHeight} but the image is ${image.width}×${image.height} (different aspect ratio)`);
+      } else if (image.width < image.declaredWidth || image.height < image.declaredHeight) {
+        warnings.push(`${where}: ${image.width}×${image.height} image is drawn upscaled at ${image.declaredWidth}×${image.declaredHeight}`);
+      }
+    }
+  }
+
+  for (const composition of listCompositions(lottieData)) {
+    const compositionName = composition.id ? `Precomp "${composition.id}"` : "Root";
+    const layers = composition.layers.filter(layer => typeOf(layer) === "object");
+
+    // Every refId resolves to an asset of the right kind
+    layers.forEach((layer, index) => {
+      if (layer.refId === undefined) return;
+      const where = `${compositionName} ${describeLayer(layer, index)}`;
+      const asset = assetsById.get(layer.refId);
+      usedAssets.add(layer.refId);
+
+      if (!asset) {
+        errors.push(`${where}: refId "${layer.refId}" doesn't match any asset`);
+      } else if (layer.ty === 2 && !isImageAsset(asset)) {
+        errors.push(`${where}: image layer refers to non-image asset "${layer.refId}"`);
+      } else if (layer.ty === 0 && !isPrecompAsset(asset)) {
+        errors.push(`${where}: precomp layer refers to non-precomp asset "${layer.refId}"`);
+      }
+    });
+
+    // Full-frame image layers show one at a time. The exception is a delta patch
+    // (which can be full-frame when most of the image changed): it lies within the
+    // layer it covers, starts or ends with it (patches end with their keyframe,
+    // and start with it when played backwards), and is stacked above it.
+    const fullFrames = layers
+      .map((layer, index) => ({ layer, index }))
+      .filter(({ layer }) => {
+        const asset = layer.ty === 2 && assetsById.get(layer.refId);
+        return asset && asset.w === composition.width && asset.h === composition.height;
+      })
+      .sort((a, b) => a.layer.ip - b.layer.ip);
+
+    for (let i = 1; i < fullFrames.length; i++) {
+      const previous = fullFrames[i - 1];
+      const current = fullFrames[i];
+      const covers = (outer, inner) => outer.layer.ip <= inner.layer.ip && outer.layer.op >= inner.layer.op &&
+        (outer.layer.ip === inner.layer.ip || outer.layer.op === inner.layer.op) && inner.index < outer.index;
+      const isPatch = covers(previous, current) || covers(current, previous);
+      if (current.layer.ip < previous.layer.op && !isPatch) {
+        errors.push(`${compositionName}: ${describeLayer(previous.layer, previous.index)} and ${describeLayer(current.layer, current.index)} overlap in frames ${current.layer.ip}-${Math.min(previous.layer.op, current.layer.op)}`);
+      }
+    }
+
+    // Root layers outside the animation's range never show
+    if (!composition.id) {
+      layers.forEach((layer, index) => {
+        if (layer.op <= lottieData.ip || layer.ip >= lottieData.op) {
+          warnings.push(`${describeLayer(layer, index)}: frames ${layer.ip}-${layer.op} are outside the animation (${lottieData.ip}-${lottieData.op})`);
+        }
+      });
+    }
+  }
+
+  // Segments that run past the animation can't be played in full
+  for (const marker of Array.isArray(lottieData.markers) ? lottieData.markers : []) {
+    if (typeOf(marker) === "object" && (marker.tm < lottieData.ip || marker.tm + (marker.dr || 0) > lottieData.op)) {
+      warnings.push(`Marker "${marker.cm}": frames ${marker.tm}-${marker.tm + (marker.dr || 0)} are outside the animation (${lottieData.ip}-${lottieData.op})`);
+    }
+  }
+
+  for (const asset of assets) {
+    if (!usedAssets.has(asset.id)) {
+      warnings.push(`Asset "${asset.id}" isn't used by any layer`);
+    }
+  }
+
+  // dotLottie: the manifest's animations are in the archive
+  if (animation.manifest) {
+    for (const entry of animation.manifest.animations || []) {
+      if (!animation.archiveFiles.includes(`animations/${entry.id}.json`)) {
+        errors.push(`Manifest: animation "${entry.id}" isn't in the archive`);
+      }
+    }
+  }
+
+  report.valid = errors.length === 0;
+  return report;
+}
+
+module.exports = {
+  layerTypes,
+  openAnimation,
+  isPrecompAsset,
+  isImageAsset,
+  describeLayer,
+  inspectAnimation,
+  validateAnimation
+};
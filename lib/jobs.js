@@ -0,0 +1,160 @@
+// In-memory conversion job queue for serve mode: jobs run up to `concurrency` at
+// a time, report progress and log lines to subscribers, and are removed (with
+// their work folder) once the retention period after they finish has passed
+const crypto = require("crypto");
+const fs = require("fs");
+
+const logLimit = 200; // Log lines kept per job
+const terminalStatuses = ["done", "failed", "cancelled"];
+
+// Job queue around runJob(job, { logger, onProgress }), which resolves with the
+// job's result. A job is { id, dir, config, ... } plus the fields added here.
+function createJobQueue({ concurrency = 1, retention = 3600 * 1000, runJob }) {
+  const jobs = new Map();
+  const waiting = [];
+  const listeners = new Map(); // Job id → Set of (event, data) callbacks
+  let running = 0;
+
+  const emit = (job, event, data) => {
+    for (const listener of listeners.get(job.id) || []) listener(event, data);
+  };
+
+  const setStatus = (job, status, fields = {}) => {
+    Object.assign(job, { status, ...fields });
+    emit(job, "status", describeJob(job));
+  };
+
+  const runNext = () => {
+    while (running < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      running++;
+      setStatus(job, "running", { startedAt: new Date().toISOString() });
+
+      const logger = {
+        log: (...args) => {
+          const line = args.join(" ");
+          job.log.push(line);
+          if (job.log.length > logLimit) job.log.shift();
+          emit(job, "log", { line });
+        }
+      };
+      const onProgress = (event) => {
+        if (event.stage === "done") return; // Reported with the final status
+        job.progress = event;
+        emit(job, "progress", event);
+      };
+
+      runJob(job, { logger, onProgress })
+        .then(result => setStatus(job, "done", { result, finishedAt: new Date().toISOString() }))
+        .catch(error => setStatus(job, "failed", { error: error.message, finishedAt: new Date().toISOString() }))
+        .finally(() => {
+          running--;
+          runNext();
+        });
+    }
+  };
+
+  // Remove finished jobs past their retention period, with their work folders
+  const sweep = () => {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+      if (terminalStatuses.includes(job.status) && now - Date.parse(job.finishedAt) >= retention) {
+        remove(job.id);
+      }
+    }
+  };
+  const sweepTimer = setInterval(sweep, Math.max(1000, Math.min(retention, 60 * 1000)));
+  sweepTimer.unref();
+
+  const add = (fields) => {
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      log: [],
+      result: null,
+      error: null,
+      ...fields
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    runNext();
+    return job;
+  };
+
+  // Cancel a queued job; running jobs can't be interrupted. Returns false if running.
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job || job.status === "running") return false;
+
+    const index = waiting.indexOf(job);
+    if (index >= 0) {
+      waiting.splice(index, 1);
+      setStatus(job, "cancelled", { finishedAt: new Date().toISOString() });
+    }
+    return true;
+  };
+
+  function remove(id) {
+    const job = jobs.get(id);
+    if (!job || job.status === "running") return false;
+
+    cancel(id);
+    jobs.delete(id);
+    emit(job, "removed", { id });
+    listeners.delete(id);
+    if (job.dir) fs.rmSync(job.dir, { recursive: true, force: true });
+    return true;
+  }
+
+  const subscribe = (id, listener) => {
+    if (!listeners.has(id)) listeners.set(id, new Set());
+    listeners.get(id).add(listener);
+    return () => {
+      const set = listeners.get(id);
+      if (set) set.delete(listener);
+    };
+  };
+
+  // Stop sweeping and remove every job that isn't running
+  const close = () => {
+    clearInterval(sweepTimer);
+    [...jobs.keys()].forEach(remove);
+  };
+
+  return {
+    add,
+    get: (id) => jobs.get(id) || null,
+    list: () => [...jobs.values()],
+    cancel,
+    remove,
+    subscribe,
+    close,
+    stats: () => ({ running, queued: waiting.length, total: jobs.size })
+  };
+}
+
+function isFinished(job) {
+  return terminalStatuses.includes(job.status);
+}
+
+// Public view of a job: status, timings, latest progress, log and result
+function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    input: job.inputName,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    error: job.error,
+    result: job.result,
+    log: job.log
+  };
+}
+
+module.exports = { createJobQueue, describeJob, isFinished };
@@ -0,0 +1,200 @@
+// Chroma keying and solid background removal on raw RGBA frames
+const sharp = require("sharp");
+
+// Typical green and blue screen colours
+const namedColors = {
+  green: [0, 177, 64],
+  blue: [0, 71, 187],
+  white: [255, 255, 255],
+  black: [0, 0, 0]
+};
+
+const keyDefaults = {
+  chroma: { tolerance: 15, softness: 10, spill: 0.5 },
+  color: { tolerance: 4, softness: 4, spill: 0 }
+};
+
+// "#00b140", "00b140", "#0b4", "0,177,64" or a named colour → [r, g, b]
+function parseColor(value) {
+  const text = String(value).trim().toLowerCase();
+  if (namedColors[text]) return namedColors[text];
+
+  const hex = text.replace(/^#/, "");
+  if (/^[0-9a-f]{6}$/.test(hex)) {
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+  }
+  if (/^[0-9a-f]{3}$/.test(hex)) {
+    return hex.split("").map(digit => parseInt(digit + digit, 16));
+  }
+
+  const channels = text.split(",").map(Number);
+  if (channels.length === 3 && channels.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255)) {
+    return channels;
+  }
+
+  throw new Error(`Invalid colour "${value}" (use a name like green or blue, #rrggbb or r,g,b)`);
+}
+
+function formatColor(color) {
+  return "#" + color.map(channel => channel.toString(16).padStart(2, "0")).join("");
+}
+
+// Keying settings from the config, or null when keying is off.
+// chromaKey: "green", "blue" or a colour — green/blue screen, keyed on hue and
+// saturation (ignoring brightness), with spill suppression.
+// removeBackground: a colour, or "auto" for each frame's most common border
+// colour — exact solid backgrounds such as screen captures.
+function resolveKeySettings(config) {
+  const { chromaKey = null, removeBackground = null, keyTolerance = null, keySoftness = null, keySpill = null } = config;
+
+  if (chromaKey && removeBackground) {
+    throw new Error("Use either chromaKey or removeBackground, not both");
+  }
+  if (!chromaKey && !removeBackground) return null;
+
+  const mode = chromaKey ? "chroma" : "color";
+  const defaults = keyDefaults[mode];
+  const setting = chromaKey || removeBackground;
+  const percent = (value, fallback) => Math.max(0, Math.min(100, value === null ? fallback : parseFloat(value)));
+
+  return {
+    mode,
+    color: setting === "auto" || setting === true ? null : parseColor(setting),
+    tolerance: percent(keyTolerance, defaults.tolerance),
+    softness: percent(keySoftness, defaults.softness),
+    spill: mode === "chroma" ? Math.max(0, Math.min(1, keySpill === null ? defaults.spill : parseFloat(keySpill))) : 0
+  };
+}
+
+// Most common colour along the frame's border
+function findBackgroundColor(data, width, height) {
+  const counts = new Map();
+  let best = null;
+  let bestCount = 0;
+
+  const count = (x, y) => {
+    const offset = (y * width + x) * 4;
+    const colorKey = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+    const total = (counts.get(colorKey) || 0) + 1;
+    counts.set(colorKey, total);
+    if (total > bestCount) {
+      bestCount = total;
+      best = colorKey;
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    count(x, 0);
+    count(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    count(0, y);
+    count(width - 1, y);
+  }
+
+  return [(best >> 16) & 255, (best >> 8) & 255, best & 255];
+}
+
+// Blue/red colour difference (Cb, Cr) of an RGB colour
+function toChroma(r, g, b) {
+  return [
+    -0.168736 * r - 0.331264 * g + 0.5 * b,
+    0.5 * r - 0.418688 * g - 0.081312 * b
+  ];
+}
+
+// Key out the background of a raw RGBA frame in place. Pixels within `tolerance`
+// (percent) of the key colour become transparent, with a linear ramp over
+// `softness` for smooth edges. Edge pixels have the key colour unmixed from them,
+// and chroma keys pull leftover screen colour (spill) out of the subject.
+// Returns the key colour used and the share of fully transparent pixels.
+function applyKey(data, width, height, key) {
+  const color = key.color || findBackgroundColor(data, width, height);
+  const [keyR, keyG, keyB] = color;
+  const [keyCb, keyCr] = toChroma(keyR, keyG, keyB);
+
+  // Chroma distance ignores brightness (shadows on the screen); colour distance doesn't
+  const maxDistance = key.mode === "chroma" ? 255 : 441.673;
+  const inner = (key.tolerance / 100) * maxDistance;
+  const outer = inner + Math.max(1e-6, (key.softness / 100) * maxDistance);
+  const spillChannel = keyG >= keyB ? 1 : 2; // Screen colour channel to suppress
+  let transparentPixels = 0;
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    const r = data[offset];
+    const g = data[offset + 1];
+    const b = data[offset + 2];
+
+    let distance;
+    if (key.mode === "chroma") {
+      const [cb, cr] = toChroma(r, g, b);
+      distance = Math.hypot(cb - keyCb, cr - keyCr);
+    } else {
+      distance = Math.hypot(r - keyR, g - keyG, b - keyB);
+    }
+
+    const keyAlpha = distance <= inner ? 0 : distance >= outer ? 1 : (distance - inner) / (outer - inner);
+    const alpha = Math.round(keyAlpha * data[offset + 3]);
+    data[offset + 3] = alpha;
+
+    if (alpha === 0) {
+      transparentPixels++;
+      continue;
+    }
+
+    // observed = alpha × foreground + (1 − alpha) × key, solved for the foreground
+    if (keyAlpha < 1) {
+      data[offset] = Math.max(0, Math.min(255, Math.round((r - (1 - keyAlpha) * keyR) / keyAlpha)));
+      data[offset + 1] = Math.max(0, Math.min(255, Math.round((g - (1 - keyAlpha) * keyG) / keyAlpha)));
+      data[offset + 2] = Math.max(0, Math.min(255, Math.round((b - (1 - keyAlpha) * keyB) / keyAlpha)));
+    }
+
+    // Spill: the screen channel may not exceed the stronger of the other two
+    if (key.spill > 0) {
+      const channel = offset + spillChannel;
+      const limit = spillChannel === 1 ? Math.max(data[offset], data[offset + 2]) : Math.max(data[offset], data[offset + 1]);
+      if (data[channel] > limit) {
+        data[channel] = Math.round(data[channel] - key.spill * (data[channel] - limit));
+      }
+    }
+  }
+
+  return { color, transparentPercent: (transparentPixels / (width * height)) * 100 };
+}
+
+// Side-by-side PNG of the source frame and the keyed frame on a checkerboard
+async function renderKeyPreview(original, keyed, width, height) {
+  const tile = 16;
+  const checker = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const shade = (Math.floor(x / tile) + Math.floor(y / tile)) % 2 === 0 ? 255 : 204;
+      checker.fill(shade, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      checker[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+
+  const raw = { width, height, channels: 4 };
+  const keyedOnChecker = await sharp(checker, { raw })
+    .composite([{ input: keyed, raw }])
+    .png()
+    .toBuffer();
+  const gap = 8;
+
+  return sharp({ create: { width: width * 2 + gap, height, channels: 4, background: { r: 40, g: 40, b: 40, alpha: 1 } } })
+    .composite([
+      { input: await sharp(original, { raw }).png().toBuffer(), left: 0, top: 0 },
+      { input: keyedOnChecker, left: width + gap, top: 0 }
+    ])
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  parseColor,
+  formatColor,
+  resolveKeySettings,
+  applyKey,
+  renderKeyPreview
+};
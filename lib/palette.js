@@ -0,0 +1,155 @@
+// Global palette: one set of colours quantized from a sample of frames and shared by
+// every PNG frame, so colours don't shift from frame to frame (palette flicker)
+const sharp = require("sharp");
+
+// Up to `count` items spread evenly over the list, first and last included
+function sampleEvenly(items, count) {
+  if (items.length <= count) return items.slice();
+  if (count <= 1) return [items[0]];
+
+  const step = (items.length - 1) / (count - 1);
+  return Array.from({ length: count }, (unused, index) => items[Math.round(index * step)]);
+}
+
+// RGBA entries from an indexed PNG's PLTE and tRNS chunks
+function readPngPalette(png) {
+  const palette = [];
+  let offset = 8; // PNG signature
+
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("ascii", offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+
+    if (type === "PLTE") {
+      for (let entry = 0; entry < length; entry += 3) {
+        palette.push([data[entry], data[entry + 1], data[entry + 2], 255]);
+      }
+    } else if (type === "tRNS") {
+      for (let entry = 0; entry < length && entry < palette.length; entry++) {
+        palette[entry][3] = data[entry];
+      }
+    } else if (type === "IEND") {
+      break;
+    }
+
+    offset += length + 12; // Length, type and CRC
+  }
+
+  return palette;
+}
+
+function premultiply([r, g, b, a]) {
+  return [r * a / 255, g * a / 255, b * a / 255, a];
+}
+
+// Distance between premultiplied colours: luma-weighted RGB plus alpha
+function colorDistance(a, b) {
+  return 0.299 * (a[0] - b[0]) ** 2 + 0.587 * (a[1] - b[1]) ** 2 + 0.114 * (a[2] - b[2]) ** 2 + (a[3] - b[3]) ** 2;
+}
+
+// Shrink a palette to `colors` entries by repeatedly merging the pair whose merge
+// adds the least error, weighted by how many pixels use each entry (Ward's method)
+function reducePalette(palette, counts, colors) {
+  let entries = palette.map((color, index) => ({ color: premultiply(color), weight: counts[index] }));
+
+  while (entries.length > colors) {
+    let best = null;
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const a = entries[i];
+        const b = entries[j];
+        const total = a.weight + b.weight;
+        const cost = total === 0 ? 0 : (a.weight * b.weight / total) * colorDistance(a.color, b.color);
+        if (!best || cost < best.cost) best = { i, j, cost };
+      }
+    }
+
+    const a = entries[best.i];
+    const b = entries[best.j];
+    const total = a.weight + b.weight;
+    const mix = (x, y) => total === 0 ? (x + y) / 2 : (x * a.weight + y * b.weight) / total;
+    const merged = { color: a.color.map((value, channel) => mix(value, b.color[channel])), weight: total };
+
+    entries = entries.filter((entry, index) => index !== best.i && index !== best.j);
+    entries.push(merged);
+  }
+
+  // Back to straight (non-premultiplied) RGBA
+  return entries.map(({ color: [r, g, b, a] }) => {
+    const alpha = Math.round(a);
+    const unmultiply = (value) => alpha === 0 ? 0 : Math.max(0, Math.min(255, Math.round(value * 255 / a)));
+    return [unmultiply(r), unmultiply(g), unmultiply(b), alpha];
+  });
+}
+
+// Quantize the pixels of every sample frame (raw RGBA { data, info }) together into
+// at most `colors` RGBA entries. Sharp's quantizer runs at 256 colours (it rounds
+// other counts down to a PNG bit depth) and the result is reduced from there.
+async function buildGlobalPalette(samples, colors = 256) {
+  const pixels = Buffer.concat(samples.map(sample => sample.data));
+  const width = samples[0].info.width;
+  const height = Math.floor(pixels.length / 4 / width);
+  const raw = { width, height, channels: 4 };
+
+  const png = await sharp(pixels.subarray(0, width * height * 4), { raw })
+    .png({ palette: true, colours: 256, dither: 0, effort: 10 })
+    .toBuffer();
+
+  const palette = readPngPalette(png);
+  if (palette.length === 0) {
+    throw new Error("Could not build a global palette from the sampled frames");
+  }
+  if (palette.length <= colors) return palette;
+
+  // Pixels per entry, from the quantized image
+  const indexByColor = new Map(palette.map(([r, g, b, a], index) => [((r << 16) | (g << 8) | b) * 256 + a, index]));
+  const counts = new Array(palette.length).fill(0);
+  const quantized = await sharp(png).ensureAlpha().raw().toBuffer();
+
+  for (let offset = 0; offset < quantized.length; offset += 4) {
+    const colorKey = ((quantized[offset] << 16) | (quantized[offset + 1] << 8) | quantized[offset + 2]) * 256 + quantized[offset + 3];
+    const index = indexByColor.get(colorKey);
+    if (index !== undefined) counts[index]++;
+  }
+
+  return reducePalette(palette, counts, colors);
+}
+
+// Replace every pixel of a raw RGBA buffer, in place, with its nearest palette
+// entry. No dithering, so a colour that stays the same across frames maps to the
+// same entry every time.
+function remapToPalette(data, palette) {
+  const entries = palette.map(premultiply);
+  const nearest = new Map();
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    const colorKey = ((data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2]) * 256 + data[offset + 3];
+    let index = nearest.get(colorKey);
+
+    if (index === undefined) {
+      const color = premultiply([data[offset], data[offset + 1], data[offset + 2], data[offset + 3]]);
+      let bestDistance = Infinity;
+
+      entries.forEach((entry, entryIndex) => {
+        const distance = colorDistance(color, entry);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          index = entryIndex;
+        }
+      });
+      nearest.set(colorKey, index);
+    }
+
+    const [r, g, b, a] = palette[index];
+    data[offset] = r;
+    data[offset + 1] = g;
+    data[offset + 2] = b;
+    data[offset + 3] = a;
+  }
+
+  return data;
+}
+
+module.exports = { sampleEvenly, readPngPalette, buildGlobalPalette, remapToPalette };
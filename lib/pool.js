@@ -0,0 +1,21 @@
+// Bounded concurrency helper
+
+// Run an async task for every item with at most `concurrency` tasks in flight.
+// Results keep the order of `items`, regardless of completion order.
+async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,272 @@
+// Review outputs: a self-contained preview.html (lottie-web inlined, the animation
+// beside its source frames) and a contact-sheet.png grid of the selected frames
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { getMimeType } = require("./formats");
+const { mapWithConcurrency } = require("./pool");
+
+const sourceThumbnailSize = 480; // Longest side of the source frames in preview.html
+const labelHeight = 18;
+const cellGap = 4;
+
+// Lottie data with every external image inlined as a data URI, so the preview
+// needs no files beside it. Images are read from assetsDir joined with their `u`,
+// or by name when `u` is an absolute URL.
+function inlineAssets(lottieData, assetsDir) {
+  const assets = lottieData.assets.map(asset => {
+    if (!asset.p || asset.e === 1 || asset.p.startsWith("data:")) return asset;
+
+    const folder = /^https?:\/\//i.test(asset.u || "") ? "" : asset.u || "";
+    const data = fs.readFileSync(path.join(assetsDir, folder, asset.p));
+    return { ...asset, u: "", p: `data:${getMimeType(asset.p)};base64,${data.toString("base64")}`, e: 1 };
+  });
+
+  return { ...lottieData, assets };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// JSON or script text that can't close the <script> element it sits in
+function escapeScript(text) {
+  return text.replace(/<\/(script)/gi, "<\\/$1").replace(/<!--/g, "<\\!--");
+}
+
+// Grey checkerboard shown behind transparent pixels
+function checkerboard(width, height, size = 8) {
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <defs><pattern id="c" width="${size * 2}" height="${size * 2}" patternUnits="userSpaceOnUse">
+      <rect width="${size * 2}" height="${size * 2}" fill="#ccc"/>
+      <rect width="${size}" height="${size}" fill="#999"/>
+      <rect x="${size}" y="${size}" width="${size}" height="${size}" fill="#999"/>
+    </pattern></defs>
+    <rect width="${width}" height="${height}" fill="url(#c)"/>
+  </svg>`);
+}
+
+// Grid of frames ([{ path, label }]) on a dark background, each on a checkerboard
+// with its label underneath. Columns default to a roughly square grid of up to 8.
+async function writeContactSheet(frames, outputFile, options = {}) {
+  const { columns = null, thumbnailWidth = 160, concurrency = 1 } = options;
+
+  if (frames.length === 0) {
+    throw new Error("No frames for the contact sheet");
+  }
+
+  const first = await sharp(frames[0].path).metadata();
+  const cellWidth = Math.max(16, parseInt(thumbnailWidth) || 160);
+  const cellHeight = Math.max(1, Math.round(first.height * cellWidth / first.width));
+  const columnCount = Math.min(frames.length, Math.max(1, parseInt(columns) || Math.min(8, Math.ceil(Math.sqrt(frames.length)))));
+  const rowCount = Math.ceil(frames.length / columnCount);
+  const width = columnCount * (cellWidth + cellGap) + cellGap;
+  const height = rowCount * (cellHeight + labelHeight + cellGap) + cellGap;
+
+  const background = await sharp(checkerboard(cellWidth, cellHeight)).png().toBuffer();
+
+  const cells = await mapWithConcurrency(frames, concurrency, async (frame, index) => {
+    const thumbnail = await sharp(frame.path)
+      .resize(cellWidth, cellHeight, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+    const label = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${cellWidth}" height="${labelHeight}">
+      <text x="2" y="13" font-family="sans-serif" font-size="11" fill="#eee">${escapeXml(frame.label)}</text>
+    </svg>`);
+
+    const left = cellGap + (index % columnCount) * (cellWidth + cellGap);
+    const top = cellGap + Math.floor(index / columnCount) * (cellHeight + labelHeight + cellGap);
+
+    return [
+      { input: background, left, top },
+      { input: thumbnail, left, top },
+      { input: label, left, top: top + cellHeight }
+    ];
+  });
+
+  await sharp({ create: { width, height, channels: 4, background: { r: 30, g: 30, b: 30, alpha: 1 } } })
+    .composite(cells.flat())
+    .png()
+    .toFile(outputFile);
+
+  return { file: outputFile, columns: columnCount, rows: rowCount, width, height };
+}
+
+// Source frames shown beside the animation: [{ path, start, duration }] → the
+// same frames as small WebP data URIs with their Lottie frame range
+async function renderSourceFrames(frames, { concurrency = 1 } = {}) {
+  return mapWithConcurrency(frames, concurrency, async (frame) => {
+    const data = await sharp(frame.path)
+      .resize(sourceThumbnailSize, sourceThumbnailSize, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return { start: frame.start, duration: frame.duration, src: `data:image/webp;base64,${data.toString("base64")}` };
+  });
+}
+
+// Write preview.html: lottie-web and the animation (images inlined) in one file,
+// with play/pause, scrubbing, speed and background controls, and the source frame
+// for the current Lottie frame beside it (sourceFrames null = not available).
+// Markers in the animation get a button each that plays just that segment.
+function writePreviewHtml(outputFile, { lottieData, assetsDir, sourceFrames = null, title = "Animation", summary = "", loop = true, autoplay = true }) {
+  const player = fs.readFileSync(require.resolve("lottie-web/build/player/lottie_light.min.js"), "utf8");
+  const animationData = inlineAssets(lottieData, assetsDir);
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title)} — Camelottie preview</title>
+<style>
+  body { margin: 0; padding: 24px; font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; background: #f4f4f4; color: #222; }
+  h1 { margin: 0 0 4px; font-size: 18px; }
+  .summary { margin: 0 0 16px; color: #666; }
+  .panels { display: flex; flex-wrap: wrap; gap: 16px; align-items: flex-start; }
+  .panel h2 { margin: 0 0 6px; font-size: 13px; font-weight: 600; color: #555; }
+  .stage { display: flex; align-items: center; justify-content: center; width: ${animationData.w}px; max-width: 45vw; aspect-ratio: ${animationData.w} / ${animationData.h}; border: 1px solid #ccc; }
+  .stage.source { width: auto; min-width: 120px; aspect-ratio: auto; }
+  .stage img { display: block; max-width: 45vw; }
+  #animation { width: 100%; height: 100%; }
+  .stage.checker { background: repeating-conic-gradient(#ccc 0 25%, #999 0 50%) 0 0 / 16px 16px; }
+  .controls { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin-top: 16px; }
+  .controls input[type=range] { width: 320px; }
+  .frame { font-variant-numeric: tabular-nums; min-width: 140px; }
+  .note { color: #888; padding: 24px; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<p class="summary">${escapeXml(summary)}</p>
+<div class="panels">
+  <div class="panel">
+    <h2>Animation</h2>
+    <div class="stage checker"><div id="animation"></div></div>
+  </div>
+  <div class="panel">
+    <h2>Source frame</h2>
+    <div class="stage source checker">${sourceFrames ? '<img id="source" alt="Source frame">' : '<div class="note">Source frames aren\'t available for streamed video</div>'}</div>
+  </div>
+</div>
+<div class="controls">
+  <button id="play" type="button">Pause</button>
+  <input id="scrub" type="range" min="${animationData.ip}" max="${animationData.op - 1}" step="1" value="${animationData.ip}">
+  <span id="frame" class="frame"></span>
+  <label>Speed
+    <select id="speed">
+      <option value="0.25">0.25×</option>
+      <option value="0.5">0.5×</option>
+      <option value="1" selected>1×</option>
+      <option value="2">2×</option>
+    </select>
+  </label>
+  <label>Background
+    <select id="background">
+      <option value="checker">Checkerboard</option>
+      <option value="#ffffff">White</option>
+      <option value="#000000">Black</option>
+      <option value="custom">Custom…</option>
+    </select>
+  </label>
+  <input id="color" type="color" value="#00ff00" hidden>
+  <label><input id="loop" type="checkbox"${loop ? " checked" : ""}> Loop</label>
+</div>
+${(animationData.markers || []).length > 0 ? `<div class="controls" id="segments">Segments:
+  <button type="button" data-start="${animationData.ip}" data-end="${animationData.op}">All</button>
+${animationData.markers.map(marker => `  <button type="button" data-start="${marker.tm}" data-end="${marker.tm + marker.dr}">${escapeXml(marker.cm)}</button>`).join("\n")}
+</div>` : ""}
+<script>${escapeScript(player)}</script>
+<script>
+  const animationData = ${escapeScript(JSON.stringify(animationData))};
+  const sourceFrames = ${escapeScript(JSON.stringify(sourceFrames))};
+
+  const animation = lottie.loadAnimation({
+    container: document.getElementById("animation"),
+    renderer: "svg",
+    loop: ${Boolean(loop)},
+    autoplay: ${Boolean(autoplay)},
+    animationData
+  });
+
+  const play = document.getElementById("play");
+  const scrub = document.getElementById("scrub");
+  const frameLabel = document.getElementById("frame");
+  const source = document.getElementById("source");
+  const color = document.getElementById("color");
+  const totalFrames = animationData.op - animationData.ip;
+
+  // Source frame on screen at each Lottie frame
+  const sourceAt = [];
+  (sourceFrames || []).forEach((frame, index) => {
+    for (let tick = frame.start; tick < frame.start + frame.duration; tick++) sourceAt[tick] = index;
+  });
+
+  function showFrame() {
+    // currentFrame counts from the start of the segment playing
+    const frame = Math.min(totalFrames - 1, Math.floor(animation.firstFrame + animation.currentFrame) - animationData.ip);
+    scrub.value = animationData.ip + frame;
+    frameLabel.textContent = "Frame " + (frame + 1) + " / " + totalFrames + " (" + (frame / animationData.fr).toFixed(2) + "s)";
+    if (source && sourceAt[frame] !== undefined && source.dataset.index !== String(sourceAt[frame])) {
+      source.src = sourceFrames[sourceAt[frame]].src;
+      source.dataset.index = sourceAt[frame];
+    }
+  }
+
+  function updatePlayButton() {
+    play.textContent = animation.isPaused ? "Play" : "Pause";
+  }
+
+  animation.addEventListener("DOMLoaded", showFrame);
+  animation.addEventListener("enterFrame", showFrame);
+  animation.addEventListener("complete", updatePlayButton);
+
+  play.addEventListener("click", () => {
+    if (animation.isPaused) animation.play(); else animation.pause();
+    updatePlayButton();
+  });
+
+  scrub.addEventListener("input", () => {
+    // Back to the whole timeline if a segment was playing (this moves the slider)
+    const frame = Number(scrub.value) - animationData.ip;
+    if (animation.firstFrame !== animationData.ip) animation.resetSegments(true);
+    animation.goToAndStop(frame, true);
+    updatePlayButton();
+    showFrame();
+  });
+
+  document.getElementById("speed").addEventListener("change", (event) => animation.setSpeed(Number(event.target.value)));
+  document.getElementById("loop").addEventListener("change", (event) => { animation.loop = event.target.checked; });
+
+  function setBackground(value) {
+    document.querySelectorAll(".stage").forEach((stage) => {
+      stage.classList.toggle("checker", value === "checker");
+      stage.style.background = value === "checker" ? "" : value;
+    });
+  }
+
+  document.getElementById("background").addEventListener("change", (event) => {
+    color.hidden = event.target.value !== "custom";
+    setBackground(event.target.value === "custom" ? color.value : event.target.value);
+  });
+  color.addEventListener("input", () => setBackground(color.value));
+
+  // Named segments (Lottie markers) play on their own, looping if Loop is on
+  document.querySelectorAll("#segments button").forEach((button) => {
+    button.addEventListener("click", () => {
+      animation.playSegments([Number(button.dataset.start), Number(button.dataset.end)], true);
+      updatePlayButton();
+    });
+  });
+
+  updatePlayButton();
+</script>
+</body>
+</html>
+`;
+
+  fs.writeFileSync(outputFile, html);
+  return { file: outputFile, size: Buffer.byteLength(html) };
+}
+
+module.exports = { writeContactSheet, renderSourceFrames, writePreviewHtml };
@@ -0,0 +1,418 @@
+// Conversion server for serve mode: multipart uploads (a zip of frames, a video or
+// an animated image, plus settings as JSON) become queued optimize jobs, whose
+// status and progress are polled or streamed as server-sent events and whose
+// output is downloaded as the animation file or a zip bundle
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const busboy = require("busboy");
+const { createZip, readZip } = require("./zip");
+const { createJobQueue, describeJob, isFinished } = require("./jobs");
+const { detectInputType, listSequenceFrames } = require("./input");
+const { resolveConfig } = require("./config");
+const { summarizeEntry } = require("./batch");
+const { formatSize } = require("./budget");
+
+const uploadKinds = ["video", "animated"]; // Single-file uploads; frames come zipped
+// Settings the server decides (paths on its disk, caching and CPU use)
+const serverKeys = ["input", "output", "tempDir", "cacheDir", "segmentsFile", "cache", "concurrency", "logger", "onProgress"];
+const bundleExcludes = ["temp_frames"];
+const heartbeatInterval = 15 * 1000;
+
+// Duration in milliseconds from e.g. "90s", "30m", "2h", "1d" or plain seconds
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (use e.g. 90s, 30m, 2h or 1d)`);
+  }
+
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] || "s").toLowerCase()]);
+}
+
+// Error answered with an HTTP status instead of 500
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+function sendFile(res, fileName, data, contentType) {
+  res.writeHead(200, {
+    "Content-Type": contentType,
+    "Content-Length": data.length,
+    "Content-Disposition": `attachment; filename="${fileName.replace(/"/g, "")}"`
+  });
+  res.end(data);
+}
+
+// Save the multipart "file" field into uploadDir and collect the text fields.
+// Resolves with { fields, file: { name, path } | null }.
+function receiveUpload(req, uploadDir, maxUploadSize) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { fileSize: maxUploadSize, files: 1, fields: 10 } });
+    } catch (error) {
+      reject(requestError(400, `Expected a multipart/form-data upload (${error.message})`));
+      return;
+    }
+
+    const fields = {};
+    let file = null;
+    let writing = Promise.resolve();
+    let failed = null;
+
+    parser.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on("file", (name, stream, info) => {
+      if (name !== "file") {
+        stream.resume();
+        return;
+      }
+
+      const fileName = path.basename(info.filename || "upload").replace(/[^\w.-]/g, "_") || "upload";
+      file = { name: fileName, path: path.join(uploadDir, fileName) };
+      const output = fs.createWriteStream(file.path);
+
+      stream.on("limit", () => {
+        failed = requestError(413, `Upload is larger than ${formatSize(maxUploadSize)}`);
+        stream.unpipe(output);
+        stream.resume();
+      });
+      writing = new Promise((done, fail) => {
+        output.on("close", done);
+        output.on("error", fail);
+      });
+      stream.pipe(output);
+      stream.on("end", () => output.end());
+    });
+
+    parser.on("error", error => reject(requestError(400, `Could not read upload: ${error.message}`)));
+    parser.on("close", () => {
+      writing.then(() => failed ? reject(failed) : resolve({ fields, file }), reject);
+    });
+
+    req.pipe(parser);
+  });
+}
+
+// Unpack a zip of frames flat into inputDir. Folders inside the archive are
+// ignored, as are macOS metadata and hidden files; file names must be unique.
+function unpackFrames(zipFile, inputDir, maxSize) {
+  let entries;
+  try {
+    entries = readZip(fs.readFileSync(zipFile), { maxSize });
+  } catch (error) {
+    throw requestError(400, error.message);
+  }
+
+  const seen = new Set();
+  for (const entry of entries) {
+    const name = path.posix.basename(entry.name);
+    if (entry.name.endsWith("/") || entry.name.split("/").includes("__MACOSX") || !name || name.startsWith(".")) continue;
+
+    if (seen.has(name)) {
+      throw requestError(400, `The zip contains two files named ${name} (frames must have unique names)`);
+    }
+    seen.add(name);
+    fs.writeFileSync(path.join(inputDir, name), entry.data);
+  }
+
+  if (listSequenceFrames(inputDir).length === 0) {
+    throw requestError(400, "The zip contains no PNG, JPEG or WebP frames");
+  }
+}
+
+// Settings from the "settings" field (a JSON object), merged over the server's
+// base config and an optional preset
+function resolveJobConfig(fields, { baseConfig, preset }) {
+  let settings = {};
+  if (fields.settings) {
+    try {
+      settings = JSON.parse(fields.settings);
+    } catch (error) {
+      throw requestError(400, `Settings must be JSON: ${error.message}`);
+    }
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw requestError(400, "Settings must be a JSON object");
+    }
+  }
+
+  const rejected = Object.keys(settings).filter(key => serverKeys.includes(key));
+  if (rejected.length > 0) {
+    throw requestError(400, `These settings are set by the server: ${rejected.join(", ")}`);
+  }
+
+  // Presets are named from the server's config; uploads can't define their own
+  const { preset: settingsPreset = null, presets, ...overrides } = settings;
+  try {
+    return resolveConfig(baseConfig, fields.preset || settingsPreset || preset, overrides).config;
+  } catch (error) {
+    throw requestError(400, error.message);
+  }
+}
+
+// Files of an output folder as [{ name, data }] zip entries, without temp frames
+function collectFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(item => !bundleExcludes.includes(item.name))
+    .flatMap(item => item.isDirectory() ?
+      collectFiles(path.join(dir, item.name), `${prefix}${item.name}/`) :
+      [{ name: `${prefix}${item.name}`, data: fs.readFileSync(path.join(dir, item.name)) }]);
+}
+
+// HTTP server around a job queue. optimize is the optimizeImages function; each
+// job works in workDir/<id> (upload/, input/, output/), removed with the job.
+// Returns { server, queue, listen(port, host), close() }.
+function createConversionServer(options) {
+  const {
+    workDir,
+    optimize,
+    jobs = 1,
+    retention = 3600 * 1000,
+    maxUploadSize = 500 * 1024 * 1024,
+    baseConfig = {},
+    preset = null,
+    cors = false,
+    reporter
+  } = options;
+
+  // The project config's own input/output don't apply to uploads
+  const sharedConfig = { ...baseConfig };
+  delete sharedConfig.input;
+  delete sharedConfig.output;
+  const frameConcurrency = Math.max(1, Math.floor(os.cpus().length / jobs));
+
+  const queue = createJobQueue({
+    concurrency: jobs,
+    retention,
+    runJob: async (job, { logger, onProgress }) => {
+      const startTime = Date.now();
+      reporter.log(`▶️  [${job.id}] ${job.inputName}`);
+
+      // Log lines show paths relative to the job's folder
+      const jobPrefix = `${job.dir}${path.sep}`;
+      const jobLogger = { log: (...args) => logger.log(...args.map(arg => String(arg).split(jobPrefix).join(""))) };
+
+      let result;
+      try {
+        result = await optimize({
+          concurrency: frameConcurrency,
+          ...job.config,
+          input: job.input,
+          output: job.output,
+          cache: false,
+          logger: jobLogger,
+          onProgress
+        });
+      } catch (error) {
+        reporter.log(`❌ [${job.id}] ${error.message}`);
+        throw error;
+      }
+
+      // Single animation files are downloaded as they are, anything else as a bundle
+      job.singleFile = !result.variants && !result.externalAssets ? result.outputFile : null;
+
+      const entry = { name: job.config.outputName || "animation", input: job.inputName, output: job.output };
+      const summary = summarizeEntry(entry, result, null, Date.now() - startTime);
+      const relative = (file) => path.relative(job.output, file).split(path.sep).join("/");
+      reporter.log(`✅ [${job.id}] ${formatSize(summary.totalSize)} in ${(summary.timeMs / 1000).toFixed(1)}s`);
+
+      // Local paths stay on the server
+      const { output, ...row } = summary;
+      return {
+        ...row,
+        outputFile: relative(summary.outputFile),
+        variants: summary.variants && summary.variants.map(variant => ({ ...variant, outputFile: relative(variant.outputFile) }))
+      };
+    }
+  });
+
+  const createJob = async (req) => {
+    const id = crypto.randomUUID();
+    const dir = path.join(workDir, id);
+    const uploadDir = path.join(dir, "upload");
+    const inputDir = path.join(dir, "input");
+    fs.mkdirSync(uploadDir, { recursive: true });
+    fs.mkdirSync(inputDir);
+
+    try {
+      const { fields, file } = await receiveUpload(req, uploadDir, maxUploadSize);
+      if (!file) {
+        throw requestError(400, "Upload the input as a \"file\" field (a zip of frames, a video or an animated image)");
+      }
+      const config = resolveJobConfig(fields, { baseConfig: sharedConfig, preset });
+
+      // Zipped frames become a sequence folder; videos and animated images are used as uploaded
+      const uploadSize = fs.statSync(file.path).size;
+      let input = inputDir;
+      const inputInfo = detectInputType(file.path);
+      if (inputInfo.type === "zip") {
+        unpackFrames(file.path, inputDir, maxUploadSize * 4);
+        fs.rmSync(file.path);
+      } else if (uploadKinds.includes(inputInfo.kind)) {
+        input = file.path;
+      } else {
+        throw requestError(415, `Unsupported upload (${inputInfo.label}): send a zip of frames, a video or an animated image`);
+      }
+
+      reporter.log(`📥 [${id}] ${file.name} (${formatSize(uploadSize)}) queued`);
+      return queue.add({ id, dir, input, output: path.join(dir, "output"), inputName: file.name, config });
+    } catch (error) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw error;
+    }
+  };
+
+  // Stream a job's status, log and progress until it finishes or is removed
+  const streamEvents = (req, res, job) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send("status", describeJob(job));
+    if (isFinished(job)) {
+      res.end();
+      return;
+    }
+
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), heartbeatInterval);
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    const unsubscribe = queue.subscribe(job.id, (event, data) => {
+      send(event, data);
+      if (event === "removed" || (event === "status" && isFinished(data))) {
+        stop();
+        res.end();
+      }
+    });
+    req.on("close", stop);
+  };
+
+  const download = (res, job, bundle) => {
+    if (job.status !== "done") {
+      throw requestError(409, `Job is ${job.status}${job.error ? `: ${job.error}` : ""}`);
+    }
+
+    if (!bundle && job.singleFile) {
+      const fileName = path.basename(job.singleFile);
+      const contentType = fileName.endsWith(".lottie") ? "application/zip" : "application/json";
+      sendFile(res, fileName, fs.readFileSync(job.singleFile), contentType);
+      return;
+    }
+
+    sendFile(res, `${path.posix.parse(job.result.outputFile).name}.zip`, createZip(collectFiles(job.output)), "application/zip");
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    if (cors) {
+      res.setHeader("Access-Control-Allow-Origin", cors === true ? "*" : cors);
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+      if (req.method === "OPTIONS") {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+    }
+
+    if (parts.length === 0 && req.method === "GET") {
+      sendJson(res, 200, { name: "camelottie", jobs: queue.stats(), maxUploadSize, retentionMs: retention });
+      return;
+    }
+    if (parts[0] !== "jobs" || parts.length > 3) {
+      throw requestError(404, `Not found: ${url.pathname}`);
+    }
+
+    if (parts.length === 1) {
+      if (req.method === "POST") {
+        const job = await createJob(req);
+        res.setHeader("Location", `/jobs/${job.id}`);
+        sendJson(res, 202, describeJob(job));
+      } else if (req.method === "GET") {
+        sendJson(res, 200, queue.list().map(job => {
+          const { log, ...summary } = describeJob(job);
+          return summary;
+        }));
+      } else {
+        throw requestError(405, `${req.method} is not supported on /jobs`);
+      }
+      return;
+    }
+
+    const job = queue.get(parts[1]);
+    if (!job) {
+      throw requestError(404, `No job ${parts[1]} (finished jobs are removed after ${Math.round(retention / 1000)}s)`);
+    }
+
+    const action = parts[2] || null;
+    if (req.method === "GET" && action === null) {
+      sendJson(res, 200, describeJob(job));
+    } else if (req.method === "GET" && action === "events") {
+      streamEvents(req, res, job);
+    } else if (req.method === "GET" && (action === "download" || action === "bundle")) {
+      download(res, job, action === "bundle");
+    } else if (req.method === "DELETE" && action === null) {
+      if (!queue.remove(job.id)) {
+        throw requestError(409, "Job is running and can't be stopped; delete it once it has finished");
+      }
+      reporter.log(`🗑️  [${job.id}] removed`);
+      res.writeHead(204);
+      res.end();
+    } else {
+      throw requestError(404, `Not found: ${req.method} ${url.pathname}`);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!error.status) reporter.log(`❌ ${req.method} ${req.url}: ${error.message}`);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      // Drain the rest of a rejected upload so the client sees the answer
+      req.resume();
+      res.setHeader("Connection", "close");
+      sendJson(res, error.status || 500, { error: error.message });
+    });
+  });
+
+  return {
+    server,
+    queue,
+    listen: (port, host) => new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        const address = server.address();
+        const hostName = address.family === "IPv6" ? `[${address.address}]` : address.address;
+        resolve({ url: `http://${hostName}:${address.port}` });
+      });
+    }),
+    close: () => new Promise(resolve => {
+      queue.close();
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = { createConversionServer, parseDuration };
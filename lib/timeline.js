@@ -0,0 +1,199 @@
+// Timeline edits on an assembled Lottie: trimming the in/out points, ping-pong
+// (forward then backward) playback that reuses the existing layers' assets, and
+// named segments written as markers
+const fs = require("fs");
+
+// Lottie frame from a frame number (30) or seconds ("1.5s"); null when unset
+function parseFramePosition(value, frameRate, what = "frame") {
+  if (value === null || value === undefined || value === "") return null;
+
+  const text = String(value).trim();
+  const seconds = /^(\d+(?:\.\d+)?)s$/i.exec(text);
+  const frame = seconds ? Math.round(parseFloat(seconds[1]) * frameRate) : Number(text);
+
+  if (!Number.isInteger(frame) || frame < 0) {
+    throw new Error(`Invalid ${what}: "${value}" (use a frame number, e.g. 30, or seconds, e.g. 1.5s)`);
+  }
+  return frame;
+}
+
+// Segments from "name:start-end" strings, { name, start, end } objects, or an
+// object of name → [start, end] / "start-end". Positions stay unparsed (frames or
+// seconds) until the frame rate is known.
+function parseSegments(value) {
+  if (!value) return [];
+
+  const fromRange = (name, range) => {
+    const [start, end] = Array.isArray(range) ? range : String(range).split("-");
+    return { name, start, end };
+  };
+
+  const entries = Array.isArray(value) ?
+    value.map(entry => {
+      if (typeof entry !== "string") return entry;
+      const separator = entry.lastIndexOf(":");
+      if (separator <= 0) throw new Error(`Invalid segment "${entry}" (use name:start-end, e.g. intro:0-30)`);
+      return fromRange(entry.slice(0, separator).trim(), entry.slice(separator + 1));
+    }) :
+    Object.entries(value).map(([name, range]) => fromRange(name, range));
+
+  for (const entry of entries) {
+    if (!entry || typeof entry.name !== "string" || !entry.name || entry.start === undefined || entry.end === undefined) {
+      throw new Error(`Invalid segment ${JSON.stringify(entry)} (needs a name, start and end)`);
+    }
+  }
+  return entries;
+}
+
+// Segments from a JSON sidecar file: any form parseSegments accepts, or
+// { "segments": ... } around it
+function loadSegmentsFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read segments file ${filePath}: ${error.message}`);
+  }
+
+  return parseSegments(data && !Array.isArray(data) && data.segments ? data.segments : data);
+}
+
+// Items with a start and duration (selected or held frames), clipped to
+// [start, end) and shifted to begin at 0
+function trimFrames(items, start, end) {
+  return items
+    .filter(item => item.start + item.duration > start && item.start < end)
+    .map(item => {
+      const itemStart = Math.max(item.start, start);
+      const itemEnd = Math.min(item.start + item.duration, end);
+      return { ...item, start: itemStart - start, duration: itemEnd - itemStart };
+    });
+}
+
+// Keep Lottie frames [start, end) and shift them to begin at 0. Layers are
+// clipped to the range; layers outside it and the assets only they used are dropped.
+function trimLottie(lottieData, start, end) {
+  if (start >= end || end > lottieData.op) {
+    throw new Error(`Invalid trim ${start}-${end}: the animation has frames ${lottieData.ip}-${lottieData.op}`);
+  }
+
+  lottieData.layers = lottieData.layers
+    .filter(layer => layer.op > start && layer.ip < end)
+    .map(layer => ({ ...layer, ip: Math.max(layer.ip, start) - start, op: Math.min(layer.op, end) - start }));
+
+  const usedAssets = new Set(lottieData.layers.map(layer => layer.refId));
+  lottieData.assets = lottieData.assets.filter(asset => usedAssets.has(asset.id));
+  lottieData.ip = 0;
+  lottieData.op = end - start;
+}
+
+// Append the timeline played backwards, without repeating its first and last
+// frames. Each backward frame gets copies of the layers visible at that frame in
+// the forward pass (delta keyframes and their patches included), so the assets
+// are shared. `items` (selected frames) are mirrored the same way.
+// Returns { addedFrames, items }.
+function addPingPong(lottieData, items = []) {
+  const { layers } = lottieData;
+
+  // Spans of the frames played backwards (all but the first and last) with a
+  // constant set of visible layers
+  const first = lottieData.ip + 1;
+  const last = lottieData.op - 1;
+  const boundaries = [...new Set([first, last, ...layers.flatMap(layer => [layer.ip, layer.op])])]
+    .filter(frame => frame >= first && frame <= last)
+    .sort((a, b) => a - b);
+
+  const spans = [];
+  for (let index = 0; index < boundaries.length - 1; index++) {
+    const start = boundaries[index];
+    const end = boundaries[index + 1];
+    spans.push({
+      start,
+      end,
+      layers: layers.map((layer, layerIndex) => layerIndex).filter(layerIndex => layers[layerIndex].ip <= start && layers[layerIndex].op >= end)
+    });
+  }
+
+  const copies = [];
+  const mirroredItems = [];
+  let openCopies = new Map(); // Source layer index → copy still being extended
+  let cursor = lottieData.op;
+  let nextIndex = Math.max(0, ...layers.map(layer => layer.ind || 0)) + 1;
+
+  for (let index = spans.length - 1; index >= 0; index--) {
+    const span = spans[index];
+    const end = cursor + span.end - span.start;
+    const stillOpen = new Map();
+
+    for (const layerIndex of span.layers) {
+      // A layer visible in consecutive backward spans stays one layer
+      const open = openCopies.get(layerIndex);
+      if (open && open.layer.op === cursor) {
+        open.layer.op = end;
+        stillOpen.set(layerIndex, open);
+        continue;
+      }
+
+      const source = layers[layerIndex];
+      const copy = { source: layerIndex, layer: { ...source, ind: nextIndex++, nm: `${source.nm || "Layer"} (reverse)`, ip: cursor, op: end } };
+      copies.push(copy);
+      stillOpen.set(layerIndex, copy);
+    }
+
+    // Items inside the span, mirrored within it
+    for (const item of items) {
+      const itemStart = Math.max(item.start, span.start);
+      const itemEnd = Math.min(item.start + item.duration, span.end);
+      if (itemEnd > itemStart) {
+        mirroredItems.push({ ...item, start: cursor + span.end - itemEnd, duration: itemEnd - itemStart });
+      }
+    }
+
+    openCopies = stillOpen;
+    cursor = end;
+  }
+
+  // Copies keep their source layers' stacking order where they overlap
+  copies.sort((a, b) => a.source - b.source);
+  lottieData.layers = [...layers, ...copies.map(copy => copy.layer)];
+
+  const addedFrames = cursor - lottieData.op;
+  lottieData.op = cursor;
+
+  mirroredItems.sort((a, b) => a.start - b.start);
+  return { addedFrames, items: [...items, ...mirroredItems] };
+}
+
+// Resolve parsed segments against the frame rate and length, and write them as
+// Lottie markers ({ cm: name, tm: start frame, dr: duration in frames })
+function addMarkers(lottieData, segments, frameRate) {
+  const names = new Set();
+
+  const resolved = segments.map(segment => {
+    const start = parseFramePosition(segment.start, frameRate, `start of segment "${segment.name}"`);
+    const end = parseFramePosition(segment.end, frameRate, `end of segment "${segment.name}"`);
+
+    if (names.has(segment.name)) {
+      throw new Error(`Duplicate segment name "${segment.name}"`);
+    }
+    if (end <= start || end > lottieData.op) {
+      throw new Error(`Segment "${segment.name}" (${start}-${end}) must be a range within the animation's frames 0-${lottieData.op}`);
+    }
+
+    names.add(segment.name);
+    return { name: segment.name, start, end };
+  });
+
+  lottieData.markers = resolved.map(segment => ({ cm: segment.name, tm: segment.start, dr: segment.end - segment.start }));
+  return resolved;
+}
+
+module.exports = {
+  parseFramePosition,
+  parseSegments,
+  loadSegmentsFile,
+  trimFrames,
+  trimLottie,
+  addPingPong,
+  addMarkers
+};
@@ -0,0 +1,257 @@
+// Video probing and frame extraction with FFmpeg (to PNG files, or streamed as raw
+// RGBA frames), and encoding PNG frame sequences back into GIF, WebM or MP4
+const path = require("path");
+
+// "30000/1001" → 29.97; null for missing or zero rates
+function parseFrameRate(rate) {
+  if (!rate) return null;
+  const [numerator, denominator = 1] = String(rate).split("/").map(Number);
+  const frameRate = numerator / denominator;
+  return Number.isFinite(frameRate) && frameRate > 0 ? Math.round(frameRate * 1000) / 1000 : null;
+}
+
+// Seconds from a number or a "90", "1:30" or "00:01:30.5" timestamp; null when unset
+function parseTime(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return value;
+
+  const parts = String(value).trim().split(":");
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+
+  if (parts.length > 3 || parts.some(part => part === "") || !Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid time "${value}" (use seconds, e.g. 12.5, or a timestamp, e.g. 1:02.5)`);
+  }
+
+  return seconds;
+}
+
+// Duration, frame rate and displayed frame size (after rotation) of a video's first video stream
+function probeVideo(videoPath) {
+  const ffmpeg = require("fluent-ffmpeg");
+
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const videoStream = metadata.streams.find(stream => stream.codec_type === "video");
+      if (!videoStream) {
+        reject(new Error(`No video stream found in ${videoPath}`));
+        return;
+      }
+
+      // FFmpeg auto-rotates decoded frames, so portrait phone videos swap sides
+      const sideData = (videoStream.side_data_list || []).find(data => data.rotation !== undefined);
+      const rotation = parseInt((videoStream.tags && videoStream.tags.rotate) || (sideData && sideData.rotation) || 0);
+      const isRotated = Math.abs(rotation) % 180 === 90;
+
+      resolve({
+        duration: parseFloat(metadata.format.duration) || parseFloat(videoStream.duration) || 0,
+        frameRate: parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate),
+        width: isRotated ? videoStream.height : videoStream.width,
+        height: isRotated ? videoStream.width : videoStream.height
+      });
+    });
+  });
+}
+
+// Resolve start/end/duration options (seconds or timestamps) against the video
+// length. Returns { start, duration } in seconds.
+function resolveTimeRange(videoDuration, { start = null, end = null, duration = null } = {}) {
+  const startTime = parseTime(start) || 0;
+  const endTime = parseTime(end);
+  const clipDuration = parseTime(duration);
+
+  if (endTime !== null && clipDuration !== null) {
+    throw new Error("Use either an end time or a duration, not both");
+  }
+  if (videoDuration && startTime >= videoDuration) {
+    throw new Error(`Start time ${startTime}s is past the end of the video (${videoDuration.toFixed(1)}s)`);
+  }
+  if (endTime !== null && endTime <= startTime) {
+    throw new Error(`End time ${endTime}s must be after the start time (${startTime}s)`);
+  }
+
+  const requested = clipDuration !== null ? clipDuration : endTime !== null ? endTime - startTime : Infinity;
+  const remaining = videoDuration ? videoDuration - startTime : Infinity;
+
+  return { start: startTime, duration: Math.min(requested, remaining) };
+}
+
+// Apply a time range and the fps filter to an FFmpeg command
+function applyRange(command, { frameRate, start, duration }) {
+  if (start > 0) command.seekInput(start);
+  if (Number.isFinite(duration)) command.duration(duration);
+  return command.outputOptions([`-vf fps=${frameRate}`]);
+}
+
+// Decode a video (or a time range of it) into PNG files at frameRate.
+// Resolves with the number of frames written.
+function extractFramesFromVideo(videoPath, outputDir, options, reporter) {
+  const ffmpeg = require("fluent-ffmpeg");
+  const { expectedFrames = null } = options;
+
+  return new Promise((resolve, reject) => {
+    let extractedFrames = 0;
+
+    applyRange(ffmpeg(videoPath), options)
+      .outputOptions(["-q:v 2"]) // High quality
+      .output(path.join(outputDir, "frame_%06d.png"))
+      .on("progress", (progress) => {
+        extractedFrames = Math.floor(progress.frames);
+        reporter.progress({ stage: "extracting", frame: extractedFrames, total: expectedFrames });
+      })
+      .on("end", () => {
+        reporter.log(`✅ Frame extraction complete: ${extractedFrames} frames`);
+        resolve(extractedFrames);
+      })
+      .on("error", reject)
+      .run();
+  });
+}
+
+// Decode the single frame at `time` seconds into a PNG file
+function extractVideoFrame(videoPath, time, outputPath) {
+  const ffmpeg = require("fluent-ffmpeg");
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .seekInput(time)
+      .outputOptions(["-frames:v 1"])
+      .output(outputPath)
+      .on("end", resolve)
+      .on("error", reject)
+      .run();
+  });
+}
+
+// Decode a video (or a time range of it) into raw RGBA frames piped from FFmpeg,
+// without writing intermediate files. onFrame(data, index) is awaited for at most
+// `concurrency` frames at a time; decoding pauses while that many are in flight.
+// Resolves with the number of frames decoded.
+function streamVideoFrames(videoPath, options, onFrame) {
+  const ffmpeg = require("fluent-ffmpeg");
+  const { width, height, concurrency = 1 } = options;
+  const frameBytes = width * height * 4;
+
+  return new Promise((resolve, reject) => {
+    const command = applyRange(ffmpeg(videoPath), options)
+      .outputOptions(["-f rawvideo", "-pix_fmt rgba"]);
+
+    const pending = new Set();
+    let frame = Buffer.allocUnsafe(frameBytes);
+    let filled = 0;
+    let frameCount = 0;
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      command.kill("SIGKILL");
+      reject(error);
+    };
+
+    command.on("error", fail);
+
+    const stream = command.pipe();
+
+    const emitFrame = (data) => {
+      const index = frameCount++;
+      const task = Promise.resolve()
+        .then(() => onFrame(data, index))
+        .catch(fail)
+        .finally(() => {
+          pending.delete(task);
+          if (pending.size < concurrency && stream.isPaused()) stream.resume();
+        });
+
+      pending.add(task);
+      if (pending.size >= concurrency) stream.pause();
+    };
+
+    // Reassemble fixed-size frames from arbitrarily sized pipe chunks
+    stream.on("data", (chunk) => {
+      let offset = 0;
+
+      while (offset < chunk.length) {
+        const length = Math.min(frameBytes - filled, chunk.length - offset);
+        chunk.copy(frame, filled, offset, offset + length);
+        filled += length;
+        offset += length;
+
+        if (filled === frameBytes) {
+          emitFrame(frame);
+          frame = Buffer.allocUnsafe(frameBytes);
+          filled = 0;
+        }
+      }
+    });
+
+    stream.on("end", async () => {
+      while (pending.size > 0) {
+        await Promise.all(pending);
+      }
+      if (settled) return;
+      settled = true;
+      resolve(frameCount);
+    });
+  });
+}
+
+// Encode frame_%06d.png files into a GIF, WebM or MP4 (by outputFile's extension).
+// GIF and WebM (VP9) keep transparency unless a background colour ("#rrggbb") is
+// given; MP4 (H.264) has no alpha channel, so it's always flattened, on white by
+// default.
+function encodeFrameSequence(framesDir, outputFile, { frameRate, width, height, background = null }) {
+  const ffmpeg = require("fluent-ffmpeg");
+  const type = path.extname(outputFile).slice(1).toLowerCase();
+  const fill = background || (type === "mp4" ? "#ffffff" : null);
+  const filters = [];
+  let stream = "0:v";
+
+  if (fill) {
+    // H.264 with yuv420p needs even dimensions: MP4 frames are padded with the background
+    const even = (size) => type === "mp4" ? Math.ceil(size / 2) * 2 : size;
+    filters.push(`color=c=${fill}:s=${even(width)}x${even(height)}:r=${frameRate}[background]`, `[background][0:v]overlay=shortest=1:format=auto[flat]`);
+    stream = "flat";
+  }
+
+  let outputOptions;
+  if (type === "gif") {
+    // Palette per animation; one palette entry is kept for transparency
+    filters.push(`[${stream}]split[frames][source]`, `[source]palettegen=reserve_transparent=${fill ? 0 : 1}[palette]`, `[frames][palette]paletteuse=alpha_threshold=128[out]`);
+    outputOptions = ["-loop 0"];
+  } else if (type === "webm") {
+    filters.push(`[${stream}]format=${fill ? "yuv420p" : "yuva420p"}[out]`);
+    outputOptions = ["-c:v libvpx-vp9", "-b:v 0", "-crf 30"];
+  } else if (type === "mp4") {
+    filters.push(`[${stream}]format=yuv420p[out]`);
+    outputOptions = ["-c:v libx264", "-crf 18", "-movflags +faststart"];
+  } else {
+    return Promise.reject(new Error(`Can't encode ${outputFile}: use a .gif, .webm or .mp4 file`));
+  }
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(path.join(framesDir, "frame_%06d.png"))
+      .inputOptions([`-framerate ${frameRate}`, "-start_number 1"])
+      .complexFilter(filters, "out")
+      .outputOptions(outputOptions)
+      .output(outputFile)
+      .on("end", resolve)
+      .on("error", reject)
+      .run();
+  });
+}
+
+module.exports = {
+  parseFrameRate,
+  parseTime,
+  probeVideo,
+  resolveTimeRange,
+  extractFramesFromVideo,
+  extractVideoFrame,
+  streamVideoFrames,
+  encodeFrameSequence
+};
@@ -0,0 +1,58 @@
+// Debounced input watching for --watch mode
+const fs = require("fs");
+const path = require("path");
+
+// Watch an input folder (or file) and call onChange once edits settle.
+// Changes during a run queue exactly one follow-up run. Paths under `ignore`
+// (e.g. an output folder inside the input) don't trigger runs.
+function watchInput(inputPath, onChange, options = {}) {
+  const { debounceMs = 300, ignore = [] } = options;
+  const watchedDir = fs.statSync(inputPath).isDirectory() ? inputPath : path.dirname(inputPath);
+  const ignored = ignore.map(ignorePath => path.resolve(ignorePath));
+
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  const run = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+
+    running = true;
+    try {
+      await onChange();
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        schedule();
+      }
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, debounceMs);
+  };
+
+  const watcher = fs.watch(inputPath, (eventType, fileName) => {
+    if (fileName) {
+      const changedPath = path.resolve(watchedDir, fileName.toString());
+      if (ignored.some(ignorePath => changedPath === ignorePath || changedPath.startsWith(ignorePath + path.sep))) {
+        return;
+      }
+    }
+    schedule();
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+module.exports = { watchInput };
@@ -0,0 +1,154 @@
+// Minimal ZIP archive writer and reader (no external dependencies)
+const zlib = require("zlib");
+
+// CRC-32 lookup table (IEEE polynomial)
+const crcTable = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  crcTable[n] = c >>> 0;
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Convert a Date to MS-DOS time/date fields
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// Build a ZIP archive from [{ name, data }] entries. Entries are deflated unless
+// that doesn't make them smaller (already-compressed images are stored as-is).
+function createZip(entries, date = new Date()) {
+  const { time, day } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+    const deflated = zlib.deflateRawSync(data);
+    const useDeflate = deflated.length < data.length;
+    const stored = useDeflate ? deflated : data;
+    const crc = crc32(data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    localHeader.writeUInt16LE(20, 4);         // Version needed to extract
+    localHeader.writeUInt16LE(0x0800, 6);     // Flags (UTF-8 names)
+    localHeader.writeUInt16LE(useDeflate ? 8 : 0, 8); // Compression method
+    localHeader.writeUInt16LE(time, 10);
+    localHeader.writeUInt16LE(day, 12);
+    localHeader.writeUInt32LE(crc, 14);
+    localHeader.writeUInt32LE(stored.length, 18);
+    localHeader.writeUInt32LE(data.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28);         // Extra field length
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0); // Central directory signature
+    centralHeader.writeUInt16LE(20, 4);         // Version made by
+    centralHeader.writeUInt16LE(20, 6);         // Version needed to extract
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    centralHeader.writeUInt16LE(time, 12);
+    centralHeader.writeUInt16LE(day, 14);
+    centralHeader.writeUInt32LE(crc, 16);
+    centralHeader.writeUInt32LE(stored.length, 20);
+    centralHeader.writeUInt32LE(data.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);    // Offset of local header
+
+    localParts.push(localHeader, name, stored);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Read a ZIP archive into [{ name, data }] entries using its central directory.
+// Supports stored and deflated entries, which covers .lottie packages. maxSize
+// caps the total uncompressed size (for archives from untrusted sources).
+function readZip(buffer, { maxSize = Infinity } = {}) {
+  // The end of central directory record sits at the end, before an optional comment
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error("Not a ZIP archive (no end of central directory record)");
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  let totalSize = 0;
+
+  for (let index = 0; index < entryCount; index++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("Corrupt ZIP archive (bad central directory entry)");
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    // Data follows the local header, whose name and extra field lengths may differ
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const stored = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    // The declared size is checked first, and inflating stops past it
+    totalSize += size;
+    if (totalSize > maxSize) {
+      throw new Error(`ZIP archive is too large when extracted (over ${maxSize} bytes)`);
+    }
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(stored);
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(stored, { maxOutputLength: Math.max(1, size) });
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+
+    if (crc32(data) !== crc) {
+      throw new Error(`Corrupt ZIP archive (checksum mismatch for ${name})`);
+    }
+
+    entries.push({ name, data });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+module.exports = { createZip, readZip, crc32 };